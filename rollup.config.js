@@ -2,22 +2,29 @@ import { defineConfig } from 'rollup';
 import resolve from '@rollup/plugin-node-resolve';
 import commonjs from '@rollup/plugin-commonjs';
 
-export default defineConfig({
-  input: 'src/index.js',
-  output: [
-    {
-      file: 'dist/index.js',
-      format: 'esm',
-      sourcemap: true,
-      exports: 'named'
-    },
-    {
-      file: 'dist/index.cjs',
-      format: 'cjs',
-      sourcemap: true,
-      exports: 'named'
-    }
-  ],
+// Peer dependencies are provided by the consumer app
+const peerDependencies = [
+  '@syntropysoft/syntropyfront',
+  'react',
+  '@angular/core',
+  '@angular/router'
+];
+
+const input = {
+  index: 'src/index.js',
+  react: 'src/react.js',
+  vue: 'src/vue.js',
+  angular: 'src/angular.js',
+  worker: 'src/worker.js',
+  node: 'src/node.js',
+  symbolicate: 'src/symbolicate.js',
+  'symbolicate-node': 'src/symbolicateNode.js'
+};
+
+// @angular/core and @angular/router are ESM-only, so the angular entry has no CommonJS build
+const { angular, ...cjsInput } = input;
+
+const shared = {
   plugins: [
     resolve({
       browser: true,
@@ -25,7 +32,9 @@ export default defineConfig({
     }),
     commonjs()
   ],
-  external: ['@syntropysoft/syntropyfront'],
+  // Node built-ins only appear in Node-only entries (node, symbolicate-node)
+  external: (id) => id.startsWith('node:')
+    || peerDependencies.some((name) => id === name || id.startsWith(`${name}/`)),
   onwarn(warning, warn) {
     // Ignore circular dependency warnings
     if (warning.code === 'CIRCULAR_DEPENDENCY') {
@@ -33,4 +42,31 @@ export default defineConfig({
     }
     warn(warning);
   }
-}); 
\ No newline at end of file
+};
+
+export default defineConfig([
+  {
+    ...shared,
+    input,
+    output: {
+      dir: 'dist',
+      format: 'esm',
+      entryFileNames: '[name].js',
+      chunkFileNames: 'chunks/[name]-[hash].js',
+      sourcemap: true,
+      exports: 'named'
+    }
+  },
+  {
+    ...shared,
+    input: cjsInput,
+    output: {
+      dir: 'dist',
+      format: 'cjs',
+      entryFileNames: '[name].cjs',
+      chunkFileNames: 'chunks/[name]-[hash].cjs',
+      sourcemap: true,
+      exports: 'named'
+    }
+  }
+]);
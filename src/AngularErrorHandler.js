@@ -0,0 +1,86 @@
+import { ErrorHandler } from '@angular/core';
+import { parseStack } from './utils/stackParser.js';
+
+// Errores ya enviados (p. ej. por el handler de effects) que luego llegan al ErrorHandler
+const reportedErrors = new WeakSet();
+
+/**
+ * Marca un error como ya reportado para no enviarlo dos veces
+ * @param {*} error - Error
+ */
+export function markReported(error) {
+    if (error !== null && typeof error === 'object') {
+        reportedErrors.add(error);
+    }
+}
+
+/**
+ * Indica si un error ya fue reportado
+ * @param {*} error - Error
+ * @returns {boolean} True si ya se envió
+ */
+export function wasReported(error) {
+    return error !== null && typeof error === 'object' && reportedErrors.has(error);
+}
+
+/**
+ * SyntropyErrorHandler - ErrorHandler de Angular que reporta a SyntropyFront
+ * Encadena al ErrorHandler por defecto de Angular (o a uno propio vía options.delegate)
+ *
+ * Usage:
+ * providers: [provideSyntropyErrorHandler(api)]
+ */
+export class SyntropyErrorHandler extends ErrorHandler {
+    /**
+     * @param {Object} api - API segura de SyntropyFront
+     * @param {Object} options - Opciones
+     * @param {Object} [options.delegate] - ErrorHandler al que se reenvía el error en lugar del de Angular
+     */
+    constructor(api, options = {}) {
+        super();
+        this.api = api;
+        this.delegate = options.delegate || null;
+    }
+
+    /**
+     * Reporta el error y lo reenvía al handler encadenado
+     * @param {*} error - Error recibido por Angular
+     */
+    handleError(error) {
+        // Zone.js envuelve las promesas rechazadas: el error real está en `rejection`
+        const original = error && error.rejection !== undefined ? error.rejection : error;
+
+        if (this.api && !wasReported(original)) {
+            markReported(original);
+            this.api.sendError({
+                type: error && error.rejection !== undefined ? 'angular_unhandled_rejection' : 'angular_error',
+                error: {
+                    name: original?.name,
+                    message: original?.message ?? String(original),
+                    stack: original?.stack,
+                    frames: parseStack(original?.stack)
+                },
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (this.delegate) {
+            this.delegate.handleError(error);
+        } else {
+            super.handleError(error);
+        }
+    }
+}
+
+/**
+ * Provider que reemplaza el ErrorHandler de Angular
+ * @param {Object} api - API segura de SyntropyFront
+ * @param {Object} options - Opciones de SyntropyErrorHandler
+ * @returns {Object} Provider de Angular
+ */
+export function provideSyntropyErrorHandler(api, options = {}) {
+    return {
+        provide: ErrorHandler,
+        useFactory: () => new SyntropyErrorHandler(api, options)
+    };
+}
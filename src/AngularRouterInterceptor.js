@@ -0,0 +1,153 @@
+import { NavigationStart, NavigationEnd, NavigationCancel, NavigationError } from '@angular/router';
+import { now } from './utils/time.js';
+import { parseStack } from './utils/stackParser.js';
+
+/**
+ * Quita query string y fragmento de una URL del router
+ * @param {string} url - URL de Angular Router
+ * @returns {string} Ruta sin query ni hash
+ */
+function toPath(url) {
+    return String(url || '').split(/[?#]/)[0];
+}
+
+/**
+ * AngularRouterInterceptor - Interceptor para el Router de Angular
+ * Convierte los eventos del router en breadcrumbs de navegación
+ * Usa la API segura de SyntropyFront
+ *
+ * @param {Object} options - Opciones
+ * @param {boolean} [options.captureNavigationErrors] - Enviar NavigationError como error además del breadcrumb
+ */
+export default function AngularRouterInterceptor(options = {}) {
+    const config = {
+        captureNavigationErrors: true,
+        ...options
+    };
+    let router = null;
+    let subscription = null;
+    let currentPath = null;
+    // id de navegación -> inicio
+    const navigations = new Map();
+    let api = null;
+
+    return {
+        name: 'angularRouter',
+
+        /**
+         * Inicializa el interceptor
+         * @param {Object} apiInstance - API segura de SyntropyFront
+         */
+        init(apiInstance) {
+            api = apiInstance;
+            console.log('SyntropyFront: Angular Router interceptor inicializado (esperando router)');
+        },
+
+        /**
+         * Configura el Router de Angular
+         * @param {Object} angularRouter - Instancia inyectada de Router
+         */
+        setRouter(angularRouter) {
+            if (!api) {
+                console.warn('SyntropyFront: Angular Router interceptor no inicializado');
+                return;
+            }
+
+            if (!angularRouter || !angularRouter.events || typeof angularRouter.events.subscribe !== 'function') {
+                console.warn('SyntropyFront: Router de Angular no válido (falta events)');
+                return;
+            }
+
+            try {
+                router = angularRouter;
+                currentPath = toPath(router.url);
+
+                subscription = router.events.subscribe((event) => {
+                    if (!api) return;
+
+                    if (event instanceof NavigationStart) {
+                        navigations.set(event.id, now());
+                        return;
+                    }
+
+                    if (!(event instanceof NavigationEnd || event instanceof NavigationCancel || event instanceof NavigationError)) {
+                        return;
+                    }
+
+                    const start = navigations.get(event.id);
+                    navigations.delete(event.id);
+                    const data = {
+                        from: currentPath,
+                        to: toPath(event.url),
+                        navigationId: event.id,
+                        duration: start === undefined ? null : Math.round(now() - start)
+                    };
+
+                    if (event instanceof NavigationEnd) {
+                        data.to = toPath(event.urlAfterRedirects || event.url);
+                        api.addBreadcrumb('navigation', `Angular Router: ${data.from} -> ${data.to}`, data);
+                        currentPath = data.to;
+                    } else if (event instanceof NavigationCancel) {
+                        api.addBreadcrumb('navigation', `Angular Router: navigation cancelled (${data.to})`, {
+                            ...data,
+                            reason: event.reason
+                        });
+                    } else {
+                        api.addBreadcrumb('navigation', `Angular Router: navigation failed (${data.to})`, data);
+                        if (!config.captureNavigationErrors) return;
+                        api.sendError({
+                            type: 'angular_navigation_error',
+                            error: {
+                                name: event.error?.name,
+                                message: event.error?.message ?? String(event.error),
+                                stack: event.error?.stack,
+                                frames: parseStack(event.error?.stack)
+                            },
+                            from: data.from,
+                            to: data.to
+                        });
+                    }
+                });
+
+                console.log('SyntropyFront: Router de Angular configurado');
+            } catch (error) {
+                console.error('SyntropyFront: Error configurando router de Angular:', error);
+            }
+        },
+
+        /**
+         * Obtiene información del interceptor
+         * @returns {Object} Información del interceptor
+         */
+        getInfo() {
+            return {
+                name: 'angularRouter',
+                isInitialized: !!api,
+                hasRouter: !!router,
+                methods: ['setRouter', 'getInfo']
+            };
+        },
+
+        /**
+         * Destruye el interceptor
+         */
+        destroy() {
+            try {
+                if (subscription) {
+                    subscription.unsubscribe();
+                }
+
+                // Limpiar referencias
+                router = null;
+                subscription = null;
+                currentPath = null;
+                navigations.clear();
+                api = null;
+
+                console.log('SyntropyFront: Angular Router interceptor destruido');
+            } catch (error) {
+                console.error('SyntropyFront: Error destruyendo Angular Router interceptor:', error);
+            }
+        }
+    };
+}
@@ -0,0 +1,155 @@
+import { createSanitizer, safeStringify } from './utils/sanitizer.js';
+import { parseStack } from './utils/stackParser.js';
+
+const DEFAULT_LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+
+// Logs propios de SyntropyFront y de los interceptores
+const DEFAULT_IGNORE = [/^SyntropyFront/, /ErrorInterceptor/];
+
+/**
+ * ConsoleInterceptor - Convierte la salida de consola en breadcrumbs
+ * Envuelve console.log/info/warn/error/debug y restaura los originales en destroy()
+ * Usa la API segura de SyntropyFront
+ *
+ * @param {Object} options - Opciones
+ * @param {Array<string>} [options.levels] - Niveles a capturar
+ * @param {boolean} [options.reportErrors] - Enviar console.error como error
+ * @param {number} [options.maxMessageLength] - Longitud máxima del mensaje del breadcrumb
+ * @param {Array<string|RegExp>} [options.ignoreMessages] - Mensajes que no se registran
+ * @param {Array<string|RegExp>} [options.maskKeys] - Patrones de clave enmascarados en los argumentos
+ */
+export default function ConsoleInterceptor(options = {}) {
+    const config = {
+        levels: DEFAULT_LEVELS,
+        reportErrors: false,
+        maxMessageLength: 500,
+        ignoreMessages: DEFAULT_IGNORE,
+        ...options
+    };
+    // Argumentos: poco profundos y acotados para no inflar el buffer de breadcrumbs
+    const sanitizer = createSanitizer({ maxDepth: 3, maxSize: 4096, ...options });
+    const originals = {};
+    const wrappers = {};
+    let isCapturing = false;
+    let api = null;
+
+    /**
+     * Convierte los argumentos de consola en un texto legible
+     */
+    const formatMessage = (args) => {
+        const text = args.map((arg) => {
+            if (typeof arg === 'string') return arg;
+            if (arg instanceof Error) return `${arg.name}: ${arg.message}`;
+            const serialized = safeStringify(sanitizer.sanitizeAction(arg));
+            return serialized || String(arg);
+        }).join(' ');
+        return text.length > config.maxMessageLength
+            ? `${text.slice(0, config.maxMessageLength)}…`
+            : text;
+    };
+
+    const isIgnored = (message) => config.ignoreMessages.some((pattern) =>
+        pattern instanceof RegExp ? pattern.test(message) : message.includes(pattern)
+    );
+
+    /**
+     * Registra una llamada a consola
+     */
+    const capture = (level, args) => {
+        // Evita recursión si la API escribe en consola
+        if (!api || isCapturing) return;
+        isCapturing = true;
+
+        try {
+            const message = formatMessage(args);
+            if (isIgnored(message)) return;
+
+            api.addBreadcrumb('console', message, {
+                level,
+                arguments: args.map((arg) => sanitizer.sanitizeAction(arg))
+            });
+
+            if (level === 'error' && config.reportErrors) {
+                const error = args.find((arg) => arg instanceof Error);
+                const stack = error ? error.stack : new Error(message).stack;
+                api.sendError({
+                    type: 'console_error',
+                    error: {
+                        name: error?.name,
+                        message,
+                        stack,
+                        frames: parseStack(stack)
+                    }
+                });
+            }
+        } catch (error) {
+            // Nunca romper la llamada original a consola
+        } finally {
+            isCapturing = false;
+        }
+    };
+
+    return {
+        name: 'console',
+
+        /**
+         * Inicializa el interceptor
+         * @param {Object} apiInstance - API segura de SyntropyFront
+         */
+        init(apiInstance) {
+            if (typeof console === 'undefined') return;
+
+            api = apiInstance;
+
+            config.levels.forEach((level) => {
+                if (typeof console[level] !== 'function' || wrappers[level]) return;
+
+                const original = console[level];
+                originals[level] = original;
+                wrappers[level] = function (...args) {
+                    capture(level, args);
+                    return original.apply(this, args);
+                };
+                console[level] = wrappers[level];
+            });
+
+            console.log('SyntropyFront: Console interceptor inicializado');
+        },
+
+        /**
+         * Obtiene información del interceptor
+         * @returns {Object} Información del interceptor
+         */
+        getInfo() {
+            return {
+                name: 'console',
+                isInitialized: !!api,
+                levels: Object.keys(wrappers),
+                reportErrors: config.reportErrors,
+                methods: ['getInfo']
+            };
+        },
+
+        /**
+         * Destruye el interceptor y restaura los métodos originales de consola
+         */
+        destroy() {
+            try {
+                Object.keys(wrappers).forEach((level) => {
+                    // Solo restaurar si nadie reemplazó el método después
+                    if (console[level] === wrappers[level]) {
+                        console[level] = originals[level];
+                    }
+                    delete wrappers[level];
+                    delete originals[level];
+                });
+
+                api = null;
+
+                console.log('SyntropyFront: Console interceptor destruido');
+            } catch (error) {
+                console.error('SyntropyFront: Error destruyendo Console interceptor:', error);
+            }
+        }
+    };
+}
@@ -1,185 +1,349 @@
 /**
  * ErrorInterceptor - Automatic error and promise rejection capture
  * Single responsibility: Capture uncaught errors and unhandled promise rejections
- * 
+ *
  * This interceptor automatically sets up window.onerror and window.onunhandledrejection
+ * (or capture-phase listeners with `mode: 'listener'`, which also catch failed resource loads)
  * to capture errors and collect breadcrumbs when they occur.
- * 
+ *
  * Usage:
  * import { ErrorInterceptor } from '@syntropyfront/interceptors';
- * syntropyFront.injectCustomInterceptor('error', ErrorInterceptor);
+ * SyntropyFront.inject('error', ErrorInterceptor({ mode: 'listener' }));
  */
 
+import { createErrorGate } from './utils/errorGate.js';
+import { parseStack, framesFromLocation } from './utils/stackParser.js';
+import { normalizeError } from './utils/errorNormalizer.js';
+import { runPreReportHooks } from './utils/preReport.js';
+
+const DEFAULTS = {
+    captureErrors: true,
+    captureUnhandledRejections: true,
+    mode: 'handler', // 'handler' (window.onerror properties) or 'listener' (capture-phase addEventListener)
+    captureResourceErrors: true, // Failed <script>/<img>/<link> loads, 'listener' mode only
+    logToConsole: true, // For debugging
+    dedupeWindow: 5000, // Collapse identical errors within this window (ms, 0 disables)
+    fingerprintFrames: 3, // Stack frames used to fingerprint an error
+    sampleRates: {}, // Per error type, e.g. { unhandled_rejection: 0.5 }
+    rateLimit: {} // Token buckets (see utils/errorGate.js), false disables
+};
+
 /**
- * ErrorInterceptor Class
+ * ErrorInterceptor factory
  * Automatically captures uncaught errors and unhandled promise rejections
+ *
+ * @param {Object} options - Configuration options (see DEFAULTS)
+ * @returns {Object} Interceptor ({ name, init(api), getInfo(), destroy() })
  */
-class ErrorInterceptor {
-    constructor() {
-        this.isInitialized = false;
-        this.originalHandlers = {};
-        this.breadcrumbCollector = null;
-        this.errorHandler = null;
-    }
+export default function ErrorInterceptor(options = {}) {
+    let config = { ...DEFAULTS, ...options };
+    let api = null;
+    let errorGate = null;
+    let originalHandlers = {};
+    let errorHandler = null;
+    let rejectionHandler = null;
+    let listeners = [];
 
     /**
-     * Initialize the error interceptor
-     * @param {Object} syntropyFront - SyntropyFront instance
-     * @param {Object} config - Configuration options
+     * Attach the breadcrumb trail to a payload
+     * The documented API has no getBreadcrumbs(): then the key is left unset and the
+     * SyntropyFront core attaches its own trail when it sends the error
+     * @param {Object} errorPayload - Payload to complete
+     * @returns {Object} The same payload
      */
-    init(syntropyFront, config = {}) {
-        if (this.isInitialized) {
-            console.warn('ErrorInterceptor: Already initialized');
-            return;
+    const withBreadcrumbs = (errorPayload) => {
+        // Let batching interceptors (PerformanceInterceptor) add their pending breadcrumbs first
+        runPreReportHooks();
+        if (api && typeof api.getBreadcrumbs === 'function') {
+            errorPayload.breadcrumbs = api.getBreadcrumbs();
         }
+        return errorPayload;
+    };
 
-        if (typeof window === 'undefined') {
-            console.warn('ErrorInterceptor: Window not available, skipping initialization');
-            return;
+    /**
+     * Deliver an error payload that passed the gate
+     * @param {Object} errorPayload - Error payload (with fingerprint and occurrences)
+     */
+    const deliverError = (errorPayload) => {
+        if (api && typeof api.sendError === 'function') {
+            api.sendError(errorPayload);
         }
+    };
 
-        this.syntropyFront = syntropyFront;
-        this.config = {
-            captureErrors: true,
-            captureUnhandledRejections: true,
-            logToConsole: true, // For debugging
-            ...config
-        };
-
-        this.setupErrorInterceptors();
-        this.isInitialized = true;
-        
-        if (this.config.logToConsole) {
-            console.log('🚀 ErrorInterceptor: Automatic error capture initialized');
+    /**
+     * Send error to SyntropyFront through the fingerprint/dedupe/rate-limit gate
+     * @param {Object} errorPayload - Error payload to send
+     */
+    const sendError = (errorPayload) => {
+        if (errorGate) {
+            errorGate.process(errorPayload);
+        } else {
+            deliverError(errorPayload);
         }
-    }
+    };
 
     /**
-     * Setup automatic error interceptors
+     * Build and send an uncaught exception payload
+     * @param {string} message - Error message
+     * @param {string} source - Script URL
+     * @param {number} lineno - Line number
+     * @param {number} colno - Column number
+     * @param {Error} error - Error object (missing for cross-origin scripts)
      */
-    setupErrorInterceptors() {
-        // Intercept uncaught errors
-        if (this.config.captureErrors) {
-            this.originalHandlers.onerror = window.onerror;
-            window.onerror = (message, source, lineno, colno, error) => {
-                const errorPayload = {
-                    type: 'uncaught_exception',
-                    error: { 
-                        message, 
-                        source, 
-                        lineno, 
-                        colno, 
-                        stack: error?.stack 
-                    },
-                    breadcrumbs: this.getBreadcrumbs(),
-                    timestamp: new Date().toISOString()
-                };
-
-                // Log to console for debugging
-                if (this.config.logToConsole) {
-                    console.log('🚨 ErrorInterceptor - Error detected automatically:', errorPayload);
-                }
-                
-                // Send to SyntropyFront
-                this.sendError(errorPayload);
-                
-                // Call original handler if exists
-                if (this.originalHandlers.onerror) {
-                    return this.originalHandlers.onerror(message, source, lineno, colno, error);
-                }
-                
-                return false;
-            };
-        }
+    const handleError = (message, source, lineno, colno, error) => {
+        // name, cause chain and custom properties of the thrown value (if any)
+        const { name, code, data, linked, linkedTruncated } = error !== undefined && error !== null
+            ? normalizeError(error)
+            : {};
+        const errorPayload = withBreadcrumbs({
+            type: 'uncaught_exception',
+            error: {
+                name,
+                message,
+                source,
+                lineno,
+                colno,
+                stack: error?.stack,
+                frames: error?.stack
+                    ? parseStack(error.stack)
+                    : framesFromLocation(source, lineno, colno),
+                code,
+                data,
+                linked,
+                linkedTruncated
+            },
+            timestamp: new Date().toISOString()
+        });
 
-        // Intercept rejected promises
-        if (this.config.captureUnhandledRejections) {
-            this.originalHandlers.onunhandledrejection = window.onunhandledrejection;
-            window.onunhandledrejection = (event) => {
-                const errorPayload = {
-                    type: 'unhandled_rejection',
-                    error: {
-                        message: event.reason?.message || 'Promise rejection without message',
-                        stack: event.reason?.stack,
-                    },
-                    breadcrumbs: this.getBreadcrumbs(),
-                    timestamp: new Date().toISOString()
-                };
-
-                // Log to console for debugging
-                if (this.config.logToConsole) {
-                    console.log('🚨 ErrorInterceptor - Promise rejection detected automatically:', errorPayload);
-                }
-                
-                // Send to SyntropyFront
-                this.sendError(errorPayload);
-                
-                // Call original handler if exists
-                if (this.originalHandlers.onunhandledrejection) {
-                    this.originalHandlers.onunhandledrejection(event);
-                }
-            };
+        // Log to console for debugging
+        if (config.logToConsole) {
+            console.log('🚨 ErrorInterceptor - Error detected automatically:', errorPayload);
         }
-    }
+
+        // Send to SyntropyFront
+        sendError(errorPayload);
+    };
 
     /**
-     * Get breadcrumbs from SyntropyFront
-     * @returns {Array} Array of breadcrumbs
+     * Build and send an unhandled rejection payload
+     * @param {PromiseRejectionEvent} event - Rejection event
      */
-    getBreadcrumbs() {
-        if (this.syntropyFront && typeof this.syntropyFront.getBreadcrumbs === 'function') {
-            return this.syntropyFront.getBreadcrumbs();
+    const handleRejection = (event) => {
+        // Any reason type: Error subclasses, DOMException, AggregateError, strings, plain objects...
+        const error = normalizeError(event.reason);
+        if (!error.message) {
+            error.message = 'Promise rejection without message';
+        }
+        const errorPayload = withBreadcrumbs({
+            type: 'unhandled_rejection',
+            error,
+            timestamp: new Date().toISOString()
+        });
+
+        // Log to console for debugging
+        if (config.logToConsole) {
+            console.log('🚨 ErrorInterceptor - Promise rejection detected automatically:', errorPayload);
         }
-        return [];
-    }
+
+        // Send to SyntropyFront
+        sendError(errorPayload);
+    };
 
     /**
-     * Send error to SyntropyFront
-     * @param {Object} errorPayload - Error payload to send
+     * Build and send a resource load failure payload
+     * @param {Element} element - Element that failed to load (<script>, <img>, <link>, ...)
      */
-    sendError(errorPayload) {
-        if (this.syntropyFront && typeof this.syntropyFront.sendError === 'function') {
-            this.syntropyFront.sendError(errorPayload);
+    const handleResourceError = (element) => {
+        const tagName = String(element.tagName || '').toLowerCase();
+        const url = element.currentSrc || element.src || element.href || null;
+        const errorPayload = withBreadcrumbs({
+            type: 'resource_error',
+            error: {
+                message: `Failed to load <${tagName}>${url ? ` ${url}` : ''}`
+            },
+            resource: {
+                tagName,
+                url,
+                rel: element.rel || undefined
+            },
+            timestamp: new Date().toISOString()
+        });
+
+        if (config.logToConsole) {
+            console.log('🚨 ErrorInterceptor - Resource load failure detected automatically:', errorPayload);
         }
-    }
+
+        sendError(errorPayload);
+    };
 
     /**
-     * Destroy the interceptor and restore original handlers
+     * Add a capture-phase listener on window and remember it for destroy()
+     * @param {string} type - Event type
+     * @param {Function} handler - Listener
      */
-    destroy() {
-        if (!this.isInitialized) return;
+    const addListener = (type, handler) => {
+        const listenerOptions = { capture: true };
+        window.addEventListener(type, handler, listenerOptions);
+        listeners.push({ type, handler, options: listenerOptions });
+    };
 
-        // Restore original error handlers
-        if (this.originalHandlers.onerror) {
-            window.onerror = this.originalHandlers.onerror;
+    /**
+     * Setup capture-phase listeners (mode: 'listener')
+     * Other libraries can still assign window.onerror without disabling us, and failed
+     * <script>/<img>/<link> loads (which don't bubble) reach the capture phase of window
+     */
+    const setupErrorListeners = () => {
+        if (config.captureErrors || config.captureResourceErrors) {
+            addListener('error', (event) => {
+                const target = event.target;
+                if (target && target !== window && target.nodeType === 1) {
+                    if (config.captureResourceErrors) {
+                        handleResourceError(target);
+                    }
+                    return;
+                }
+
+                if (config.captureErrors) {
+                    handleError(event.message, event.filename, event.lineno, event.colno, event.error);
+                }
+            });
         }
 
-        if (this.originalHandlers.onunhandledrejection) {
-            window.onunhandledrejection = this.originalHandlers.onunhandledrejection;
+        if (config.captureUnhandledRejections) {
+            addListener('unhandledrejection', (event) => handleRejection(event));
         }
+    };
 
-        this.isInitialized = false;
-        this.originalHandlers = {};
-        
-        if (this.config.logToConsole) {
-            console.log('🧹 ErrorInterceptor: Destroyed and handlers restored');
+    /**
+     * Setup automatic error interceptors
+     */
+    const setupErrorInterceptors = () => {
+        if (config.mode === 'listener') {
+            setupErrorListeners();
+            return;
         }
-    }
+
+        // Intercept uncaught errors
+        if (config.captureErrors) {
+            originalHandlers.onerror = window.onerror;
+            errorHandler = (message, source, lineno, colno, error) => {
+                handleError(message, source, lineno, colno, error);
+
+                // Call original handler if exists
+                if (originalHandlers.onerror) {
+                    return originalHandlers.onerror(message, source, lineno, colno, error);
+                }
+
+                return false;
+            };
+            window.onerror = errorHandler;
+        }
+
+        // Intercept rejected promises
+        if (config.captureUnhandledRejections) {
+            originalHandlers.onunhandledrejection = window.onunhandledrejection;
+            rejectionHandler = (event) => {
+                handleRejection(event);
+
+                // Call original handler if exists
+                if (originalHandlers.onunhandledrejection) {
+                    originalHandlers.onunhandledrejection(event);
+                }
+            };
+            window.onunhandledrejection = rejectionHandler;
+        }
+    };
 
     /**
      * Get interceptor status
      * @returns {Object} Status information
      */
-    getStatus() {
-        return {
-            isInitialized: this.isInitialized,
-            config: this.config,
-            hasOriginalHandlers: {
-                onerror: !!this.originalHandlers.onerror,
-                onunhandledrejection: !!this.originalHandlers.onunhandledrejection
+    const getInfo = () => ({
+        name: 'error',
+        isInitialized: !!api,
+        config,
+        mode: config.mode,
+        listeners: listeners.map(({ type }) => type),
+        hasOriginalHandlers: {
+            onerror: !!originalHandlers.onerror,
+            onunhandledrejection: !!originalHandlers.onunhandledrejection
+        },
+        errorGate: errorGate ? errorGate.getStats() : null,
+        methods: ['getInfo']
+    });
+
+    return {
+        name: 'error',
+
+        /**
+         * Initialize the error interceptor
+         * @param {Object} apiInstance - SyntropyFront secure API (addBreadcrumb, sendError...)
+         * @param {Object} [overrides] - Deprecated: pass options to the factory instead
+         */
+        init(apiInstance, overrides = {}) {
+            if (api) {
+                console.warn('ErrorInterceptor: Already initialized');
+                return;
+            }
+
+            if (typeof window === 'undefined') {
+                console.warn('ErrorInterceptor: Window not available, skipping initialization (use ProcessInterceptor from @syntropyfront/interceptors/node on the server)');
+                return;
+            }
+
+            api = apiInstance;
+            config = { ...config, ...overrides };
+
+            errorGate = createErrorGate(deliverError, config);
+            setupErrorInterceptors();
+
+            if (config.logToConsole) {
+                console.log('🚀 ErrorInterceptor: Automatic error capture initialized');
+            }
+        },
+
+        getInfo,
+
+        /**
+         * @deprecated Use getInfo()
+         */
+        getStatus: getInfo,
+
+        /**
+         * Destroy the interceptor and restore original handlers
+         */
+        destroy() {
+            if (!api) return;
+
+            // Restore original error handlers, unless someone replaced ours afterwards
+            if (errorHandler && window.onerror === errorHandler) {
+                window.onerror = originalHandlers.onerror || null;
             }
-        };
-    }
-}
 
-export default ErrorInterceptor; 
\ No newline at end of file
+            if (rejectionHandler && window.onunhandledrejection === rejectionHandler) {
+                window.onunhandledrejection = originalHandlers.onunhandledrejection || null;
+            }
+
+            // Remove exactly the listeners we added (same type, handler and capture flag)
+            listeners.forEach(({ type, handler, options: listenerOptions }) => {
+                window.removeEventListener(type, handler, listenerOptions);
+            });
+
+            // Send pending duplicate summaries before tearing down
+            if (errorGate) {
+                errorGate.flush();
+                errorGate = null;
+            }
+
+            api = null;
+            originalHandlers = {};
+            errorHandler = null;
+            rejectionHandler = null;
+            listeners = [];
+
+            if (config.logToConsole) {
+                console.log('🧹 ErrorInterceptor: Destroyed and handlers restored');
+            }
+        }
+    };
+}
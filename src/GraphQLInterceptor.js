@@ -0,0 +1,383 @@
+import { createSanitizer } from './utils/sanitizer.js';
+import { createErrorGate, normalizeMessage } from './utils/errorGate.js';
+import { now } from './utils/time.js';
+import { parseStack } from './utils/stackParser.js';
+import { getStoreActivitySince } from './utils/storeActivity.js';
+
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * Definición de la operación de un documento GraphQL (DocumentNode)
+ * @param {Object} document - Documento parseado (gql``)
+ * @returns {Object|null} OperationDefinition o null
+ */
+function getOperationDefinition(document) {
+    const definitions = document && Array.isArray(document.definitions) ? document.definitions : [];
+    return definitions.find((definition) => definition.kind === 'OperationDefinition') || null;
+}
+
+/**
+ * Ejecuta código de trazado sin dejar que un fallo (breadcrumb, sanitizer) afecte a la operación
+ * @param {Function} fn - Código de trazado
+ * @returns {*} Resultado de fn, o null si lanzó
+ */
+function safely(fn) {
+    try {
+        return fn();
+    } catch (error) {
+        console.error('SyntropyFront: Error trazando operación GraphQL:', error);
+        return null;
+    }
+}
+
+/**
+ * Crea el trazador de operaciones compartido por el link de Apollo y el exchange de urql
+ * @param {Object} api - API segura de SyntropyFront (addBreadcrumb, sendError)
+ * @param {string} client - Cliente GraphQL ('apollo', 'urql')
+ * @param {Object} options - Opciones de syntropyApolloLink / syntropyUrqlExchange
+ * @returns {Object} { start(operation), result(span, result), failure(span, error), cancel(span) }
+ */
+function createOperationTracer(api, client, options) {
+    const config = {
+        captureVariables: false,
+        captureErrors: true,
+        reportNetworkErrors: false,
+        ignoreOperations: [],
+        storeActivityWindow: 1000,
+        maxStoreActions: 10,
+        ...options
+    };
+    const sanitizer = createSanitizer(options);
+    // Un error de una query con polling no debe llegar una vez por intervalo
+    const gate = createErrorGate((payload) => api.sendError(payload), {
+        dedupeWindow: config.dedupeWindow,
+        rateLimit: config.rateLimit,
+        fingerprint: (payload) => {
+            const first = payload.graphql.errors?.[0];
+            return [
+                payload.type,
+                payload.graphql.operationName,
+                first && first.path ? first.path.join('.') : '',
+                normalizeMessage(first ? first.message : payload.error.message)
+            ].join('|');
+        }
+    });
+    let nextId = 1;
+
+    const isIgnored = (name) => config.ignoreOperations.some((pattern) =>
+        pattern instanceof RegExp ? pattern.test(name) : pattern === name
+    );
+
+    /**
+     * Variables de la operación, solo si captureVariables lo permite y tras el sanitizer
+     */
+    const getVariables = (operationName, operationType, variables) => {
+        if (!variables || Object.keys(variables).length === 0) return undefined;
+        let allowed = config.captureVariables === true;
+        if (typeof config.captureVariables === 'function') {
+            try {
+                allowed = !!config.captureVariables({ operationName, operationType, variables });
+            } catch (error) {
+                allowed = false;
+            }
+        }
+        if (!allowed) return undefined;
+        const sanitized = sanitizer.sanitizeAction(variables);
+        return sanitized === null ? undefined : sanitized;
+    };
+
+    /**
+     * Datos comunes de breadcrumbs y errores
+     */
+    const describe = (span) => ({
+        operationId: span.id,
+        client,
+        operationName: span.operationName,
+        operationType: span.operationType,
+        variables: span.variables
+    });
+
+    const record = (span, status, data = {}) => {
+        span.recorded = true;
+        const duration = Math.round(now() - span.start);
+        const label = `GraphQL ${span.operationType} ${span.operationName}`;
+        const message = status === 'success' || status === 'partial'
+            ? `${label} ${duration}ms`
+            : `${label} ${status === 'cancelled' ? 'cancelled' : 'failed'} ${duration}ms`;
+        api.addBreadcrumb('graphql', message, { ...describe(span), duration, status, ...data });
+    };
+
+    /**
+     * Errores de GraphQL: message, path, locations y extensions (sanitizadas)
+     */
+    const formatError = (error) => ({
+        message: error?.message ?? String(error),
+        path: Array.isArray(error?.path) ? error.path : undefined,
+        locations: Array.isArray(error?.locations) ? error.locations : undefined,
+        extensions: error?.extensions ? sanitizer.sanitizeAction(error.extensions) : undefined
+    });
+
+    /**
+     * Acciones de store anotadas desde poco antes de empezar la operación
+     * (la que la disparó) hasta ahora (las que ocurrieron mientras estaba en curso)
+     * Es una correlación por tiempo, no causal: puede incluir acciones ajenas a la operación
+     * y pierde la que la disparó si ocurrió antes de storeActivityWindow
+     */
+    const getStoreActions = (span) =>
+        getStoreActivitySince(span.startedAt - config.storeActivityWindow, config.maxStoreActions);
+
+    return {
+        /**
+         * Empieza a trazar una operación
+         * @param {Object} operation - { operationName, operationType, variables }
+         * @returns {Object|null} Span de la operación, null si se ignora
+         */
+        start({ operationName, operationType, variables }) {
+            const name = operationName || 'anonymous';
+            const type = operationType || 'query';
+            if (isIgnored(name)) return null;
+            return {
+                id: `${client}-${nextId++}`,
+                operationName: name,
+                operationType: type,
+                variables: getVariables(name, type, variables),
+                start: now(),
+                startedAt: Date.now(),
+                recorded: false
+            };
+        },
+
+        /**
+         * Resultado recibido (puede haber varios: suscripciones, cache-and-network)
+         * El breadcrumb se registra con el primero; los errores de todos se reportan
+         * @param {Object} span - Span de start()
+         * @param {Object} result - { errors, hasData, cacheHit }
+         */
+        result(span, { errors, hasData, cacheHit }) {
+            const graphQLErrors = Array.isArray(errors) ? errors : [];
+            const failed = graphQLErrors.length > 0;
+            const duration = Math.round(now() - span.start);
+
+            if (!span.recorded) {
+                const status = !failed ? 'success' : hasData ? 'partial' : 'error';
+                record(span, status, {
+                    errorCount: failed ? graphQLErrors.length : undefined,
+                    cacheHit: cacheHit || undefined
+                });
+            }
+
+            if (!failed || !config.captureErrors) return;
+            const [first] = graphQLErrors;
+            const more = graphQLErrors.length > 1 ? ` (+${graphQLErrors.length - 1} more)` : '';
+            gate.process({
+                type: 'graphql_error',
+                error: {
+                    name: 'GraphQLError',
+                    message: `GraphQL ${span.operationType} ${span.operationName}: ${first?.message ?? first}${more}`
+                },
+                graphql: {
+                    ...describe(span),
+                    duration,
+                    partialData: !!hasData,
+                    errorCount: graphQLErrors.length,
+                    errors: graphQLErrors.slice(0, MAX_REPORTED_ERRORS).map(formatError)
+                },
+                storeActions: getStoreActions(span)
+            });
+        },
+
+        /**
+         * Error de red (fetch fallido, respuesta no JSON, 4xx/5xx)
+         * NetworkInterceptor ya reporta los fallos HTTP: aquí solo se reportan con reportNetworkErrors
+         * @param {Object} span - Span de start()
+         * @param {Error} error - Error de red
+         */
+        failure(span, error) {
+            const statusCode = error?.statusCode ?? error?.response?.status;
+            if (!span.recorded) {
+                record(span, 'network_error', { statusCode, error: error?.message ?? String(error) });
+            }
+            if (!config.reportNetworkErrors) return;
+            gate.process({
+                type: 'graphql_network_error',
+                error: {
+                    name: error?.name,
+                    message: `GraphQL ${span.operationType} ${span.operationName}: ${error?.message ?? String(error)}`,
+                    stack: error?.stack,
+                    frames: parseStack(error?.stack)
+                },
+                graphql: { ...describe(span), duration: Math.round(now() - span.start), statusCode },
+                storeActions: getStoreActions(span)
+            });
+        },
+
+        /**
+         * La operación se canceló antes de recibir un resultado
+         * @param {Object} span - Span de start()
+         */
+        cancel(span) {
+            if (!span.recorded) {
+                record(span, 'cancelled');
+            }
+        }
+    };
+}
+
+/**
+ * Link de Apollo Client para SyntropyFront
+ * Registra cada operación con nombre, tipo y duración, y reporta los `errors[]`
+ * de respuestas 200 como graphql_error (con path, extensions y las acciones de store
+ * que ocurrieron alrededor de la operación)
+ * Se construye con la clase ApolloLink de la app (como urql con mapExchange) para no importar
+ * @apollo/client; sin ella devuelve el request handler, que solo sirve dentro de ApolloLink.from()
+ *
+ * Usage:
+ * import { ApolloClient, ApolloLink, InMemoryCache, HttpLink } from '@apollo/client';
+ * const client = new ApolloClient({
+ *     link: syntropyApolloLink(api, { ApolloLink, captureVariables: true }).concat(new HttpLink({ uri: '/graphql' })),
+ *     cache: new InMemoryCache()
+ * });
+ *
+ * @param {Object} api - API segura de SyntropyFront (addBreadcrumb, sendError)
+ * @param {Object} options - Opciones
+ * @param {Function} options.ApolloLink - Clase ApolloLink de @apollo/client
+ * @param {boolean|Function} [options.captureVariables] - Registrar variables (opt-in); función ({ operationName, operationType, variables }) => boolean
+ * @param {Array<string|RegExp>} [options.maskKeys] - Claves enmascaradas en variables y extensions (ver sanitizer)
+ * @param {Array<string|RegExp>} [options.ignoreOperations] - Operaciones que no se registran
+ * @param {boolean} [options.captureErrors] - Reportar los errores de GraphQL
+ * @param {boolean} [options.reportNetworkErrors] - Reportar también errores de red (NetworkInterceptor ya los ve)
+ * @param {number} [options.storeActivityWindow] - ms antes de la operación en los que se buscan acciones de store
+ * @param {number} [options.maxStoreActions] - Máximo de acciones de store por error (las más recientes)
+ * @param {number} [options.dedupeWindow] - Ventana de deduplicación de errores en ms
+ * @returns {Object|Function} ApolloLink (o el request handler si falta options.ApolloLink)
+ */
+export function syntropyApolloLink(api, options = {}) {
+    const tracer = createOperationTracer(api, 'apollo', options);
+
+    const handler = (operation, forward) => {
+        const span = safely(() => {
+            const definition = getOperationDefinition(operation.query);
+            return tracer.start({
+                operationName: operation.operationName || definition?.name?.value,
+                operationType: definition?.operation,
+                variables: operation.variables
+            });
+        });
+        const observable = forward(operation);
+        if (!span || !observable) return observable;
+
+        // Mismo Observable que usa Apollo (zen-observable o rxjs), sin importarlo
+        const Observable = observable.constructor;
+        return new Observable((observer) => {
+            let settled = false;
+            const subscription = observable.subscribe({
+                next: (result) => {
+                    safely(() => tracer.result(span, { errors: result?.errors, hasData: result?.data != null }));
+                    observer.next(result);
+                },
+                error: (error) => {
+                    settled = true;
+                    safely(() => tracer.failure(span, error));
+                    observer.error(error);
+                },
+                complete: () => {
+                    settled = true;
+                    observer.complete();
+                }
+            });
+            return () => {
+                if (!settled) {
+                    safely(() => tracer.cancel(span));
+                }
+                subscription.unsubscribe();
+            };
+        });
+    };
+
+    if (typeof options.ApolloLink !== 'function') {
+        console.warn('SyntropyFront: syntropyApolloLink sin options.ApolloLink devuelve un request handler, úsalo dentro de ApolloLink.from([...])');
+        return handler;
+    }
+    return new options.ApolloLink(handler);
+}
+
+/**
+ * Exchange de urql para SyntropyFront
+ * Mismos breadcrumbs y errores que syntropyApolloLink; se construye con mapExchange
+ * de urql (>= 4) para no depender de wonka
+ * Va antes de cacheExchange: después solo vería las operaciones que no resolvió la caché
+ * (y cacheHit nunca sería true)
+ *
+ * Usage:
+ * import { Client, cacheExchange, fetchExchange, mapExchange } from 'urql';
+ * const client = new Client({
+ *     url: '/graphql',
+ *     exchanges: [syntropyUrqlExchange(api, { mapExchange }), cacheExchange, fetchExchange]
+ * });
+ *
+ * @param {Object} api - API segura de SyntropyFront (addBreadcrumb, sendError)
+ * @param {Object} options - Mismas opciones que syntropyApolloLink
+ * @param {Function} options.mapExchange - mapExchange de urql / @urql/core
+ * @returns {Function} Exchange de urql
+ */
+export function syntropyUrqlExchange(api, options = {}) {
+    if (typeof options.mapExchange !== 'function') {
+        console.warn('SyntropyFront: syntropyUrqlExchange necesita options.mapExchange de urql, las operaciones no se trazan');
+        return ({ forward }) => forward;
+    }
+    const tracer = createOperationTracer(api, 'urql', options);
+    // operation.key -> span
+    const spans = new Map();
+
+    const traceOperation = (operation) => {
+        if (operation.kind === 'teardown') {
+            const span = spans.get(operation.key);
+            if (span) {
+                tracer.cancel(span);
+                spans.delete(operation.key);
+            }
+            return;
+        }
+        const definition = getOperationDefinition(operation.query);
+        const span = tracer.start({
+            operationName: definition?.name?.value,
+            operationType: operation.kind,
+            variables: operation.variables
+        });
+        if (span) {
+            spans.set(operation.key, span);
+        }
+    };
+
+    const traceResult = (result) => {
+        const key = result.operation?.key;
+        const span = spans.get(key);
+        if (!span) return;
+
+        // CombinedError: graphQLErrors del servidor o networkError
+        const { error } = result;
+        if (error && error.networkError) {
+            tracer.failure(span, error.networkError);
+        } else {
+            tracer.result(span, {
+                errors: error?.graphQLErrors,
+                hasData: result.data != null,
+                cacheHit: result.operation.context?.meta?.cacheOutcome === 'hit'
+            });
+        }
+        // Las suscripciones y los resultados stale o incrementales siguen recibiendo resultados
+        if (span.operationType !== 'subscription' && !result.stale && !result.hasNext) {
+            spans.delete(key);
+        }
+    };
+
+    return options.mapExchange({
+        onOperation(operation) {
+            safely(() => traceOperation(operation));
+        },
+
+        onResult(result) {
+            safely(() => traceResult(result));
+        }
+    });
+}
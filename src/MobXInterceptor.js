@@ -0,0 +1,261 @@
+import { createSanitizer } from './utils/sanitizer.js';
+import { createStateRecorder } from './utils/stateRecorder.js';
+import { now } from './utils/time.js';
+import { parseStack } from './utils/stackParser.js';
+import { recordStoreActivity } from './utils/storeActivity.js';
+
+// Eventos de spy que modifican observables
+const CHANGE_TYPES = ['update', 'add', 'delete', 'splice'];
+
+/**
+ * MobXInterceptor - Interceptor para MobX
+ * Registra las acciones con spy() (una por acción externa, con los cambios que hizo)
+ * y reporta los errores de reacciones (autorun, reaction, observer) con onReactionError()
+ * spy() solo emite eventos en builds de desarrollo de MobX; onReactionError funciona siempre
+ * Usa la API segura de SyntropyFront
+ *
+ * Usage:
+ * import * as mobx from 'mobx';
+ * SyntropyFront.inject('mobx', MobXInterceptor({ mobx, getState: () => mobx.toJS(rootStore) }));
+ *
+ * @param {Object} options - Opciones de sanitización y estado (ver ReduxInterceptor)
+ * @param {Object} [options.mobx] - Módulo de MobX (o { spy, onReactionError }); también con setMobX()
+ * @param {Function} [options.getState] - () => estado plano; activa state / newState o patch como en Redux
+ * @param {Array<string|RegExp>} [options.ignoreActions] - Acciones que no se registran
+ * @param {boolean} [options.recordActions] - Registrar acciones con spy()
+ * @param {boolean} [options.captureReactionErrors] - Reportar errores de reacciones
+ * @param {number} [options.maxChanges] - Cambios de observables registrados por acción
+ * @param {string} [options.stateMode] - 'snapshot' (por defecto) o 'diff' (parches JSON-Patch, requiere getState)
+ */
+export default function MobXInterceptor(options = {}) {
+    const config = {
+        mobx: null,
+        getState: null,
+        ignoreActions: [],
+        recordActions: true,
+        captureReactionErrors: true,
+        maxChanges: 50,
+        ...options
+    };
+    const sanitizer = createSanitizer(options);
+    const recorder = createStateRecorder(sanitizer, options);
+    const disposers = [];
+    // Eventos abiertos (spyReportStart) hasta su report-end
+    let openEvents = [];
+    // Acción externa en curso: { event, action, object, start, changes, changeCount, prevState }
+    let current = null;
+    let mobx = null;
+    let api = null;
+
+    const isIgnored = (name) => config.ignoreActions.some((pattern) =>
+        pattern instanceof RegExp ? pattern.test(name) : pattern === name
+    );
+
+    const getState = () => {
+        try {
+            return config.getState();
+        } catch (error) {
+            return undefined;
+        }
+    };
+
+    /**
+     * Agrupa los cambios por objeto observable: { 'User@12': { name: 'Ana' } }
+     * Las claves pasan por el sanitizer, así que maskKeys aplica a los campos modificados
+     */
+    const recordChange = (event) => {
+        current.changeCount++;
+        if (current.changeCount > config.maxChanges) return;
+
+        const object = event.debugObjectName || 'observable';
+        const values = current.changes[object] || (current.changes[object] = {});
+        if (event.type === 'splice') {
+            values[event.name || 'items'] = { index: event.index, added: event.addedCount, removed: event.removedCount };
+        } else if (event.name !== undefined) {
+            values[event.name] = event.type === 'delete' ? undefined : event.newValue;
+        }
+    };
+
+    const startAction = (event) => {
+        current = {
+            event,
+            action: { type: event.name, payload: event.arguments ? [...event.arguments] : undefined },
+            object: event.object?.constructor?.name,
+            start: now(),
+            changes: {},
+            changeCount: 0
+        };
+        if (config.getState) {
+            current.prevState = getState();
+            recorder.before(current.prevState, current.action);
+        }
+    };
+
+    const finishAction = () => {
+        const { action, object, start, changes, changeCount, prevState } = current;
+        current = null;
+        const message = `MobX Action: ${action.type}`;
+        recordStoreActivity('mobx', action.type);
+        const data = {
+            action: sanitizer.sanitizeAction(action),
+            object: object && object !== 'Object' ? object : undefined,
+            duration: Math.round(now() - start),
+            changes: sanitizer.sanitizeAction(changes),
+            changeCount
+        };
+
+        if (!config.getState) {
+            api.addBreadcrumb('mobx', message, data);
+            return;
+        }
+
+        const state = getState();
+        if (recorder.mode === 'diff') {
+            // Modo diff: un solo breadcrumb con el parche de estado
+            api.addBreadcrumb('mobx', message, { ...data, ...recorder.after(state, action) });
+            return;
+        }
+        api.addBreadcrumb('mobx', message, { ...data, state: sanitizer.sanitizeState(prevState, action) });
+        api.addBreadcrumb('mobx', `MobX State Updated`, {
+            actionType: action.type,
+            newState: sanitizer.sanitizeState(state, action)
+        });
+    };
+
+    const spyListener = (event) => {
+        if (!api) return;
+
+        if (event.type === 'report-end') {
+            const opened = openEvents.pop();
+            if (current && opened === current.event) {
+                finishAction();
+            }
+            return;
+        }
+        if (event.spyReportStart) {
+            openEvents.push(event);
+        }
+
+        if (event.type === 'action' && !current) {
+            if (!isIgnored(event.name)) {
+                startAction(event);
+            }
+        } else if (current && CHANGE_TYPES.includes(event.type)) {
+            recordChange(event);
+        }
+    };
+
+    const reactionErrorHandler = (error, reaction) => {
+        if (!api) return;
+        const errorPayload = {
+            type: 'mobx_reaction_error',
+            error: {
+                name: error?.name,
+                message: error?.message ?? String(error),
+                stack: error?.stack,
+                frames: parseStack(error?.stack)
+            },
+            reaction: reaction?.name_ || reaction?.name || undefined
+        };
+        if (current) {
+            errorPayload.action = sanitizer.sanitizeAction(current.action);
+        }
+        if (config.getState && recorder.mode === 'diff') {
+            errorPayload.state = recorder.snapshot(getState(), null);
+        }
+        api.sendError(errorPayload);
+    };
+
+    /**
+     * Conecta MobX
+     * @param {Object} mobxModule - Módulo de MobX (o { spy, onReactionError })
+     * @returns {boolean} True si quedó conectado
+     */
+    const setMobX = (mobxModule) => {
+        if (!api) {
+            console.warn('SyntropyFront: MobX interceptor no inicializado');
+            return false;
+        }
+
+        if (!mobxModule || (typeof mobxModule.spy !== 'function' && typeof mobxModule.onReactionError !== 'function')) {
+            console.warn('SyntropyFront: MobX no válido (faltan spy y onReactionError)');
+            return false;
+        }
+
+        if (mobx) {
+            return mobx === mobxModule;
+        }
+
+        try {
+            mobx = mobxModule;
+            if (config.recordActions && typeof mobx.spy === 'function') {
+                disposers.push(mobx.spy(spyListener));
+            }
+            if (config.captureReactionErrors && typeof mobx.onReactionError === 'function') {
+                disposers.push(mobx.onReactionError(reactionErrorHandler));
+            }
+
+            console.log('SyntropyFront: MobX configurado');
+            return true;
+        } catch (error) {
+            console.error('SyntropyFront: Error configurando MobX:', error);
+            return false;
+        }
+    };
+
+    return {
+        name: 'mobx',
+
+        /**
+         * Inicializa el interceptor
+         * @param {Object} apiInstance - API segura de SyntropyFront
+         */
+        init(apiInstance) {
+            api = apiInstance;
+            if (config.mobx) {
+                setMobX(config.mobx);
+            }
+            console.log(`SyntropyFront: MobX interceptor inicializado${mobx ? '' : ' (esperando MobX)'}`);
+        },
+
+        setMobX,
+
+        /**
+         * Obtiene información del interceptor
+         * @returns {Object} Información del interceptor
+         */
+        getInfo() {
+            return {
+                name: 'mobx',
+                isInitialized: !!api,
+                hasMobX: !!mobx,
+                listeners: disposers.length,
+                currentAction: current ? current.action.type : null,
+                stateMode: config.getState ? recorder.mode : null,
+                methods: ['setMobX', 'getInfo']
+            };
+        },
+
+        /**
+         * Destruye el interceptor
+         */
+        destroy() {
+            try {
+                disposers.splice(0).forEach((dispose) => {
+                    if (typeof dispose === 'function') dispose();
+                });
+
+                // Limpiar referencias
+                recorder.reset();
+                openEvents = [];
+                current = null;
+                mobx = null;
+                api = null;
+
+                console.log('SyntropyFront: MobX interceptor destruido');
+            } catch (error) {
+                console.error('SyntropyFront: Error destruyendo MobX interceptor:', error);
+            }
+        }
+    };
+}
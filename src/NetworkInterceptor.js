@@ -0,0 +1,306 @@
+import { createKeyMatcher } from './utils/sanitizer.js';
+import { now } from './utils/time.js';
+import { DEFAULT_QUERY_MASKS, matchesEndpoint, redactUrl } from './utils/url.js';
+
+export { DEFAULT_QUERY_MASKS };
+
+const MAX_TRACKED_ENDPOINTS = 200;
+
+/**
+ * Obtiene el tamaño de la respuesta de un XMLHttpRequest
+ * @param {XMLHttpRequest} xhr - Request finalizado
+ * @returns {number|null} Bytes, o null si no se puede determinar
+ */
+function getXhrResponseSize(xhr) {
+    const header = xhr.getResponseHeader && xhr.getResponseHeader('content-length');
+    if (header) return Number(header);
+    try {
+        const { response } = xhr;
+        if (typeof response === 'string') return response.length;
+        if (response && typeof response.byteLength === 'number') return response.byteLength;
+        if (response && typeof response.size === 'number') return response.size;
+    } catch (error) {
+        // responseType sin acceso al cuerpo
+    }
+    return null;
+}
+
+/**
+ * NetworkInterceptor - Interceptor de fetch y XMLHttpRequest
+ * Registra método, URL redactada, status y duración de cada request
+ * Usa la API segura de SyntropyFront
+ *
+ * @param {Object} options - Opciones
+ * @param {boolean} [options.captureFetch] - Interceptar window.fetch
+ * @param {boolean} [options.captureXHR] - Interceptar XMLHttpRequest
+ * @param {boolean} [options.captureResponseSize] - Registrar el tamaño de la respuesta
+ * @param {Array<string|RegExp>} [options.redactQueryParams] - Parámetros de query enmascarados
+ * @param {Array<string|RegExp>} [options.excludeUrls] - URLs que no se registran
+ * @param {string} options.agentEndpoint - Endpoint del agente (obligatorio; sus requests nunca se registran)
+ * @param {boolean} [options.reportServerErrors] - Enviar respuestas 5xx como error
+ * @param {boolean} [options.reportNetworkFailures] - Enviar fallos de red como error
+ * @param {number} [options.reportCooldown] - ms durante los que un mismo método + URL no se vuelve a reportar
+ */
+export default function NetworkInterceptor(options = {}) {
+    const config = {
+        captureFetch: true,
+        captureXHR: true,
+        captureResponseSize: false,
+        redactQueryParams: DEFAULT_QUERY_MASKS,
+        excludeUrls: [],
+        agentEndpoint: null,
+        reportServerErrors: true,
+        reportNetworkFailures: true,
+        reportCooldown: 30000,
+        ...options
+    };
+    const isMaskedParam = createKeyMatcher(config.redactQueryParams);
+    // Metadatos de cada XHR entre open() y send()
+    const xhrRequests = new WeakMap();
+    // 'METHOD url' -> último reporte de error (corta bucles con el propio agente)
+    const reportedAt = new Map();
+    let originalFetch = null;
+    let wrappedFetch = null;
+    let originalOpen = null;
+    let originalSend = null;
+    let wrappedOpen = null;
+    let wrappedSend = null;
+    let agentEndpoint = null;
+    // true mientras se envía un breadcrumb o error: los requests que inicie el agente no se registran
+    let isReporting = false;
+    let api = null;
+
+    /**
+     * Indica si una URL no debe registrarse (agente de SyntropyFront o exclusiones)
+     */
+    const shouldIgnore = (url) => {
+        if (!url) return true;
+        if (agentEndpoint && matchesEndpoint(url, agentEndpoint)) return true;
+        return config.excludeUrls.some((pattern) =>
+            pattern instanceof RegExp ? pattern.test(url) : url.includes(pattern)
+        );
+    };
+
+    /**
+     * Registra el resultado de un request y reporta errores
+     * @param {Object} request - { method, url, start, transport }
+     * @param {Object} result - { status, responseSize, failure, aborted }
+     */
+    const record = (request, result) => {
+        // Evita bucles si el agente envía datos de forma síncrona dentro de la API
+        if (!api || isReporting) return;
+        isReporting = true;
+
+        try {
+            const data = {
+                method: request.method,
+                url: request.url,
+                status: result.status,
+                duration: Math.round(now() - request.start),
+                transport: request.transport
+            };
+            if (config.captureResponseSize && result.responseSize !== undefined) {
+                data.responseSize = result.responseSize;
+            }
+
+            if (result.failure || result.aborted) {
+                data.failure = result.aborted ? 'aborted' : result.failure;
+            }
+
+            api.addBreadcrumb('network', `${data.method} ${data.url} ${data.failure || data.status}`, data);
+
+            // Si el envío del error falla también (agente no excluido), no se reporta otra vez
+            const endpointKey = `${data.method} ${data.url.split(/[?#]/)[0]}`;
+            const isCoolingDown = Date.now() - (reportedAt.get(endpointKey) || -Infinity) < config.reportCooldown;
+            const report = (payload) => {
+                if (isCoolingDown) return;
+                reportedAt.set(endpointKey, Date.now());
+                if (reportedAt.size > MAX_TRACKED_ENDPOINTS) {
+                    reportedAt.delete(reportedAt.keys().next().value);
+                }
+                api.sendError(payload);
+            };
+
+            if (result.failure && !result.aborted && config.reportNetworkFailures) {
+                report({
+                    type: 'network_failure',
+                    error: { message: `Network request failed: ${data.method} ${data.url} (${result.failure})` },
+                    request: data
+                });
+            } else if (data.status >= 500 && config.reportServerErrors) {
+                report({
+                    type: 'network_error',
+                    error: { message: `HTTP ${data.status}: ${data.method} ${data.url}` },
+                    request: data
+                });
+            }
+        } finally {
+            isReporting = false;
+        }
+    };
+
+    const interceptFetch = () => {
+        if (typeof window.fetch !== 'function') return;
+
+        // Referencia local: el wrapper puede seguir en uso después de destroy()
+        const nativeFetch = window.fetch;
+        originalFetch = nativeFetch;
+        wrappedFetch = function (input, init) {
+            const rawUrl = typeof input === 'string' ? input : (input && input.url) || String(input);
+            if (!api || isReporting || shouldIgnore(rawUrl)) {
+                return nativeFetch.apply(this, arguments);
+            }
+
+            const request = {
+                method: String((init && init.method) || (input && input.method) || 'GET').toUpperCase(),
+                url: redactUrl(rawUrl, isMaskedParam),
+                start: now(),
+                transport: 'fetch'
+            };
+
+            return nativeFetch.apply(this, arguments).then(
+                (response) => {
+                    const length = response.headers && response.headers.get('content-length');
+                    record(request, {
+                        status: response.status,
+                        responseSize: length ? Number(length) : null
+                    });
+                    return response;
+                },
+                (error) => {
+                    record(request, {
+                        status: 0,
+                        failure: error?.message || 'Failed to fetch',
+                        aborted: error?.name === 'AbortError'
+                    });
+                    throw error;
+                }
+            );
+        };
+        window.fetch = wrappedFetch;
+    };
+
+    const interceptXHR = () => {
+        if (typeof XMLHttpRequest === 'undefined') return;
+
+        const proto = XMLHttpRequest.prototype;
+        const nativeOpen = proto.open;
+        const nativeSend = proto.send;
+        originalOpen = nativeOpen;
+        originalSend = nativeSend;
+
+        wrappedOpen = function (method, url) {
+            xhrRequests.set(this, { method: String(method || 'GET').toUpperCase(), rawUrl: String(url) });
+            return nativeOpen.apply(this, arguments);
+        };
+
+        wrappedSend = function () {
+            const meta = xhrRequests.get(this);
+            if (api && meta && !isReporting && !shouldIgnore(meta.rawUrl)) {
+                const request = {
+                    method: meta.method,
+                    url: redactUrl(meta.rawUrl, isMaskedParam),
+                    start: now(),
+                    transport: 'xhr'
+                };
+                let failure = null;
+                let aborted = false;
+
+                this.addEventListener('error', () => { failure = 'Network error'; });
+                this.addEventListener('timeout', () => { failure = 'Timeout'; });
+                this.addEventListener('abort', () => { aborted = true; });
+                this.addEventListener('loadend', () => {
+                    record(request, {
+                        status: this.status,
+                        responseSize: config.captureResponseSize ? getXhrResponseSize(this) : undefined,
+                        failure,
+                        aborted
+                    });
+                });
+            }
+            return nativeSend.apply(this, arguments);
+        };
+
+        proto.open = wrappedOpen;
+        proto.send = wrappedSend;
+    };
+
+    return {
+        name: 'network',
+
+        /**
+         * Inicializa el interceptor
+         * @param {Object} apiInstance - API segura de SyntropyFront
+         */
+        init(apiInstance) {
+            if (typeof window === 'undefined') {
+                console.warn('SyntropyFront: Network interceptor requiere window, se omite');
+                return;
+            }
+
+            // Sin el endpoint, los envíos del agente se registrarían (y sus fallos se reportarían) a sí mismos
+            if (!config.agentEndpoint) {
+                throw new Error('NetworkInterceptor: options.agentEndpoint es obligatorio (endpoint del agente)');
+            }
+
+            api = apiInstance;
+            agentEndpoint = config.agentEndpoint;
+
+            try {
+                if (config.captureFetch) interceptFetch();
+                if (config.captureXHR) interceptXHR();
+                console.log('SyntropyFront: Network interceptor inicializado');
+            } catch (error) {
+                console.error('SyntropyFront: Error inicializando Network interceptor:', error);
+            }
+        },
+
+        /**
+         * Obtiene información del interceptor
+         * @returns {Object} Información del interceptor
+         */
+        getInfo() {
+            return {
+                name: 'network',
+                isInitialized: !!api,
+                capturesFetch: !!wrappedFetch,
+                capturesXHR: !!originalSend,
+                methods: ['getInfo']
+            };
+        },
+
+        /**
+         * Destruye el interceptor y restaura fetch y XMLHttpRequest
+         */
+        destroy() {
+            try {
+                // Solo restaurar fetch si nadie lo reemplazó después
+                if (wrappedFetch && window.fetch === wrappedFetch) {
+                    window.fetch = originalFetch;
+                }
+                // Igual con XMLHttpRequest: open y send se restauran por separado
+                if (wrappedOpen && XMLHttpRequest.prototype.open === wrappedOpen) {
+                    XMLHttpRequest.prototype.open = originalOpen;
+                }
+                if (wrappedSend && XMLHttpRequest.prototype.send === wrappedSend) {
+                    XMLHttpRequest.prototype.send = originalSend;
+                }
+
+                // Limpiar referencias
+                originalFetch = null;
+                wrappedFetch = null;
+                originalOpen = null;
+                originalSend = null;
+                wrappedOpen = null;
+                wrappedSend = null;
+                agentEndpoint = null;
+                reportedAt.clear();
+                api = null;
+
+                console.log('SyntropyFront: Network interceptor destruido');
+            } catch (error) {
+                console.error('SyntropyFront: Error destruyendo Network interceptor:', error);
+            }
+        }
+    };
+}
@@ -0,0 +1,90 @@
+import { createSanitizer } from './utils/sanitizer.js';
+import { createStateRecorder } from './utils/stateRecorder.js';
+import { markReported, wasReported } from './AngularErrorHandler.js';
+import { parseStack } from './utils/stackParser.js';
+import { recordStoreActivity } from './utils/storeActivity.js';
+
+/**
+ * Meta-reducer de NgRx para SyntropyFront (equivalente a ReduxInterceptor)
+ * Registra cada acción con su estado y reporta los errores lanzados por reducers
+ *
+ * Usage:
+ * StoreModule.forRoot(reducers, { metaReducers: [syntropyMetaReducer(api, { stateMode: 'diff' })] })
+ *
+ * @param {Object} api - API segura de SyntropyFront (addBreadcrumb, sendError)
+ * @param {Object} options - Mismas opciones que ReduxInterceptor
+ * @returns {Function} MetaReducer (reducer) => reducer
+ */
+export function syntropyMetaReducer(api, options = {}) {
+    const sanitizer = createSanitizer(options);
+    const recorder = createStateRecorder(sanitizer, options);
+
+    return (reducer) => (state, action) => {
+        try {
+            recordStoreActivity('ngrx', action.type);
+            // El meta-reducer recibe el estado previo y calcula el siguiente: no hace falta leerlo dos veces
+            recorder.before(state, action);
+            const nextState = reducer(state, action);
+
+            const data = { action: sanitizer.sanitizeAction(action) };
+            if (recorder.mode === 'diff') {
+                Object.assign(data, recorder.after(nextState, action));
+            } else {
+                data.newState = sanitizer.sanitizeState(nextState, action);
+            }
+            api.addBreadcrumb('ngrx', `NgRx Action: ${action.type}`, data);
+
+            return nextState;
+        } catch (error) {
+            const errorPayload = {
+                type: 'ngrx_reducer_error',
+                error: {
+                    message: error.message,
+                    stack: error.stack,
+                    frames: parseStack(error.stack)
+                },
+                action: sanitizer.sanitizeAction(action)
+            };
+            if (recorder.mode === 'diff') {
+                errorPayload.state = recorder.snapshot(state, action);
+            }
+            markReported(error);
+            api.sendError(errorPayload);
+            throw error;
+        }
+    };
+}
+
+/**
+ * Crea un EFFECTS_ERROR_HANDLER que reporta los errores de effects
+ * Recibe el handler por defecto de NgRx para no depender de @ngrx/effects en el entry de Angular
+ *
+ * Usage:
+ * import { EFFECTS_ERROR_HANDLER, defaultEffectsErrorHandler } from '@ngrx/effects';
+ * { provide: EFFECTS_ERROR_HANDLER, useValue: createEffectsErrorHandler(api, defaultEffectsErrorHandler) }
+ *
+ * @param {Object} api - API segura de SyntropyFront
+ * @param {Function} defaultHandler - defaultEffectsErrorHandler de @ngrx/effects (reintentos incluidos)
+ * @param {Object} options - Opciones
+ * @param {number} [options.maxRetries] - Reintentos del effect (por defecto los de NgRx)
+ * @returns {Function} (observable$, errorHandler) => Observable
+ */
+export function createEffectsErrorHandler(api, defaultHandler, options = {}) {
+    return (observable$, errorHandler) => defaultHandler(observable$, {
+        handleError(error) {
+            if (!wasReported(error)) {
+                markReported(error);
+                api.sendError({
+                    type: 'ngrx_effect_error',
+                    error: {
+                        name: error?.name,
+                        message: error?.message ?? String(error),
+                        stack: error?.stack,
+                        frames: parseStack(error?.stack)
+                    }
+                });
+            }
+            errorHandler.handleError(error);
+        }
+    }, options.maxRetries);
+}
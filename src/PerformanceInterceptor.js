@@ -0,0 +1,391 @@
+import { addPreReportHook } from './utils/preReport.js';
+
+// Umbrales good / poor de web.dev para cada métrica
+const VITAL_THRESHOLDS = {
+    LCP: [2500, 4000],
+    CLS: [0.1, 0.25],
+    INP: [200, 500],
+    FCP: [1800, 3000],
+    TTFB: [800, 1800]
+};
+
+const MAX_SLOWEST_RESOURCES = 5;
+
+/**
+ * Clasifica el valor de una métrica
+ * @param {string} name - LCP, CLS, INP, FCP o TTFB
+ * @param {number} value - Valor
+ * @returns {string} 'good' | 'needs-improvement' | 'poor'
+ */
+function rate(name, value) {
+    const [good, poor] = VITAL_THRESHOLDS[name];
+    if (value <= good) return 'good';
+    return value <= poor ? 'needs-improvement' : 'poor';
+}
+
+/**
+ * URL sin query ni hash (pueden traer tokens)
+ * @param {string} url - URL
+ * @returns {string} URL sin query
+ */
+const stripQuery = (url) => String(url || '').split(/[?#]/)[0];
+
+/**
+ * Formatea el valor de una métrica para el mensaje del breadcrumb
+ */
+const formatVital = (name, value) => (name === 'CLS' ? value.toFixed(3) : `${Math.round(value)}ms`);
+
+/**
+ * PerformanceInterceptor - Registra métricas de rendimiento como breadcrumbs
+ * Web Vitals (LCP, CLS, INP, FCP, TTFB), long tasks, long animation frames y recursos lentos
+ * con PerformanceObserver, más un reporte resumido al ocultarse la página
+ * Usa la API segura de SyntropyFront
+ *
+ * @param {Object} options - Opciones
+ * @param {boolean} [options.captureWebVitals] - Registrar LCP, CLS, INP, FCP y TTFB
+ * @param {boolean} [options.captureLongTasks] - Registrar long tasks (> 50ms)
+ * @param {boolean} [options.captureLongAnimationFrames] - Registrar long animation frames (Chrome 123+)
+ * @param {boolean} [options.captureResources] - Registrar recursos lentos
+ * @param {number} [options.slowResourceThreshold] - ms a partir de los cuales un recurso es lento
+ * @param {number} [options.longAnimationFrameThreshold] - ms a partir de los cuales se registra un frame
+ * @param {Array<string|RegExp>} [options.excludeUrls] - Recursos que no se registran
+ * @param {boolean} [options.reportOnPageHide] - Enviar un reporte resumido al ocultarse la página
+ * @param {Function} [options.onReport] - (report) => void, recibe el reporte además de la API
+ */
+export default function PerformanceInterceptor(options = {}) {
+    const config = {
+        captureWebVitals: true,
+        captureLongTasks: true,
+        captureLongAnimationFrames: true,
+        captureResources: true,
+        slowResourceThreshold: 1000,
+        longAnimationFrameThreshold: 100,
+        excludeUrls: [],
+        reportOnPageHide: true,
+        onReport: null,
+        ...options
+    };
+    const observers = [];
+    const listeners = [];
+    const vitals = {};
+    const longTasks = { count: 0, totalDuration: 0, maxDuration: 0 };
+    const longAnimationFrames = { count: 0, totalBlockingDuration: 0, maxDuration: 0 };
+    const slowResources = { count: 0, slowest: [] };
+    // CLS: ventanas de sesión (máx. 5s, huecos < 1s)
+    const cls = { value: 0, sessionValue: 0, sessionStart: 0, lastShift: 0 };
+    // INP: duración máxima por interactionId
+    const interactions = new Map();
+    let lcpEntry = null;
+    let lcpReported = false;
+    let lastReport = null;
+    let removePreReportHook = null;
+    let api = null;
+
+    const isExcluded = (url) => config.excludeUrls.some((pattern) =>
+        pattern instanceof RegExp ? pattern.test(url) : url.includes(pattern)
+    );
+
+    const record = (message, data) => {
+        if (api) api.addBreadcrumb('performance', message, data);
+    };
+
+    const toVital = (name, value, extra = {}) => (
+        { value: name === 'CLS' ? Number(value.toFixed(4)) : Math.round(value), rating: rate(name, value), ...extra }
+    );
+
+    const setVital = (name, value, extra = {}, emit = true) => {
+        const metric = toVital(name, value, extra);
+        vitals[name] = metric;
+        if (emit) {
+            record(`Web Vital: ${name} ${formatVital(name, value)} (${metric.rating})`, { name, ...metric });
+        }
+    };
+
+    /**
+     * Crea un PerformanceObserver si el navegador soporta el tipo de entrada
+     */
+    const observe = (type, handler, observeOptions = {}) => {
+        const supported = typeof PerformanceObserver !== 'undefined'
+            && (PerformanceObserver.supportedEntryTypes || []).includes(type);
+        if (!supported) return;
+        try {
+            const observer = new PerformanceObserver((list) => list.getEntries().forEach(handler));
+            observer.observe({ type, buffered: true, ...observeOptions });
+            observers.push({ observer, handler });
+        } catch (error) {
+            // Tipo soportado pero opciones no (navegadores antiguos)
+        }
+    };
+
+    const addListener = (target, type, handler) => {
+        const listenerOptions = { capture: true };
+        target.addEventListener(type, handler, listenerOptions);
+        listeners.push({ target, type, handler, options: listenerOptions });
+    };
+
+    const getLcpDetails = () => ({
+        element: lcpEntry.element ? String(lcpEntry.element.tagName || '').toLowerCase() : undefined,
+        url: lcpEntry.url ? stripQuery(lcpEntry.url) : undefined
+    });
+
+    /**
+     * LCP deja de cambiar con la primera interacción; se emite una sola vez
+     */
+    const finalizeLcp = () => {
+        if (lcpReported || !lcpEntry) return;
+        lcpReported = true;
+        setVital('LCP', lcpEntry.startTime, getLcpDetails());
+    };
+
+    /**
+     * INP: la peor interacción, ignorando 1 de cada 50 (aprox. p98)
+     */
+    const computeInp = () => {
+        if (interactions.size === 0) return null;
+        const durations = [...interactions.values()].sort((a, b) => b - a);
+        return durations[Math.min(Math.floor(interactions.size / 50), durations.length - 1)];
+    };
+
+    const onLayoutShift = (entry) => {
+        if (entry.hadRecentInput) return;
+        const startsNewSession = entry.startTime - cls.lastShift > 1000 || entry.startTime - cls.sessionStart > 5000;
+        if (startsNewSession) {
+            cls.sessionValue = 0;
+            cls.sessionStart = entry.startTime;
+        }
+        cls.sessionValue += entry.value;
+        cls.lastShift = entry.startTime;
+        if (cls.sessionValue > cls.value) {
+            cls.value = cls.sessionValue;
+            setVital('CLS', cls.value, {}, false);
+        }
+    };
+
+    const onInteraction = (entry) => {
+        if (!entry.interactionId) return;
+        const previous = interactions.get(entry.interactionId) || 0;
+        if (entry.duration > previous) {
+            interactions.set(entry.interactionId, entry.duration);
+        }
+    };
+
+    const onLongTask = (entry) => {
+        longTasks.count++;
+        longTasks.totalDuration += entry.duration;
+        longTasks.maxDuration = Math.max(longTasks.maxDuration, entry.duration);
+        const attribution = entry.attribution && entry.attribution[0];
+        record(`Long Task: ${Math.round(entry.duration)}ms`, {
+            duration: Math.round(entry.duration),
+            startTime: Math.round(entry.startTime),
+            container: attribution ? attribution.containerType : undefined,
+            containerSrc: attribution && attribution.containerSrc ? stripQuery(attribution.containerSrc) : undefined
+        });
+    };
+
+    const onLongAnimationFrame = (entry) => {
+        if (entry.duration < config.longAnimationFrameThreshold) return;
+        longAnimationFrames.count++;
+        longAnimationFrames.totalBlockingDuration += entry.blockingDuration || 0;
+        longAnimationFrames.maxDuration = Math.max(longAnimationFrames.maxDuration, entry.duration);
+        const scripts = [...(entry.scripts || [])]
+            .sort((a, b) => b.duration - a.duration)
+            .slice(0, 3)
+            .map((script) => ({
+                invoker: script.invoker,
+                sourceURL: stripQuery(script.sourceURL),
+                sourceFunctionName: script.sourceFunctionName || undefined,
+                duration: Math.round(script.duration)
+            }));
+        record(`Long Animation Frame: ${Math.round(entry.duration)}ms`, {
+            duration: Math.round(entry.duration),
+            blockingDuration: Math.round(entry.blockingDuration || 0),
+            startTime: Math.round(entry.startTime),
+            scripts
+        });
+    };
+
+    const onResource = (entry) => {
+        if (entry.duration < config.slowResourceThreshold) return;
+        const url = stripQuery(entry.name);
+        if (isExcluded(entry.name)) return;
+
+        const resource = {
+            initiatorType: entry.initiatorType,
+            url,
+            duration: Math.round(entry.duration),
+            transferSize: entry.transferSize,
+            renderBlocking: entry.renderBlockingStatus === 'blocking' || undefined
+        };
+        slowResources.count++;
+        slowResources.slowest.push(resource);
+        slowResources.slowest.sort((a, b) => b.duration - a.duration);
+        slowResources.slowest.length = Math.min(slowResources.slowest.length, MAX_SLOWEST_RESOURCES);
+        record(`Slow Resource: ${entry.initiatorType} ${url} ${resource.duration}ms`, resource);
+    };
+
+    /**
+     * Procesa las entradas pendientes de todos los observers de forma síncrona
+     * (los callbacks de PerformanceObserver llegan en batch, después del error)
+     */
+    const flush = () => {
+        observers.forEach(({ observer, handler }) => {
+            observer.takeRecords().forEach(handler);
+        });
+    };
+
+    /**
+     * Construye el reporte resumido de la página sin modificar el estado del interceptor
+     * (un LCP todavía abierto y el INP se calculan sin fijarlos ni emitir breadcrumbs)
+     * @returns {Object} Reporte
+     */
+    const buildReport = () => {
+        const currentVitals = { ...vitals };
+        if (!lcpReported && lcpEntry) currentVitals.LCP = toVital('LCP', lcpEntry.startTime, getLcpDetails());
+        const inp = computeInp();
+        if (inp !== null) currentVitals.INP = toVital('INP', inp);
+
+        return {
+            type: 'performance_report',
+            url: typeof location !== 'undefined' ? stripQuery(location.href) : undefined,
+            vitals: currentVitals,
+            longTasks: { ...longTasks, totalDuration: Math.round(longTasks.totalDuration), maxDuration: Math.round(longTasks.maxDuration) },
+            longAnimationFrames: {
+                ...longAnimationFrames,
+                totalBlockingDuration: Math.round(longAnimationFrames.totalBlockingDuration),
+                maxDuration: Math.round(longAnimationFrames.maxDuration)
+            },
+            slowResources: { count: slowResources.count, slowest: [...slowResources.slowest] },
+            timestamp: new Date().toISOString()
+        };
+    };
+
+    const sendReport = () => {
+        if (!api) return;
+        // Al ocultarse la página se vuelcan las entradas pendientes y se fijan LCP e INP
+        flush();
+        finalizeLcp();
+        const inp = computeInp();
+        if (inp !== null) setVital('INP', inp, {}, false);
+        const report = buildReport();
+        // Solo reenviar si cambió algo desde el último reporte (la página puede ocultarse varias veces)
+        const signature = JSON.stringify({ ...report, timestamp: null });
+        if (signature === lastReport) return;
+        lastReport = signature;
+
+        ['CLS', 'INP'].forEach((name) => {
+            if (vitals[name]) {
+                record(`Web Vital: ${name} ${formatVital(name, vitals[name].value)} (${vitals[name].rating})`, { name, ...vitals[name] });
+            }
+        });
+
+        const breadcrumb = { category: 'performance', message: 'Performance Report', data: report, timestamp: report.timestamp };
+        if (typeof api.sendBreadcrumbs === 'function') {
+            api.sendBreadcrumbs([breadcrumb]);
+        } else {
+            api.addBreadcrumb('performance', 'Performance Report', report);
+        }
+        if (config.onReport) {
+            config.onReport(report);
+        }
+    };
+
+    return {
+        name: 'performance',
+
+        /**
+         * Inicializa el interceptor
+         * @param {Object} apiInstance - API segura de SyntropyFront
+         */
+        init(apiInstance) {
+            if (typeof window === 'undefined' || typeof PerformanceObserver === 'undefined') {
+                console.warn('SyntropyFront: Performance interceptor requiere PerformanceObserver, no se inicializa');
+                return;
+            }
+            if (api) return;
+
+            api = apiInstance;
+
+            if (config.captureWebVitals) {
+                observe('paint', (entry) => {
+                    if (entry.name === 'first-contentful-paint') setVital('FCP', entry.startTime);
+                });
+                observe('largest-contentful-paint', (entry) => {
+                    lcpEntry = entry;
+                });
+                observe('layout-shift', onLayoutShift);
+                observe('event', onInteraction, { durationThreshold: 40 });
+                observe('first-input', onInteraction);
+                observe('navigation', (entry) => {
+                    if (entry.responseStart > 0) {
+                        setVital('TTFB', Math.max(0, entry.responseStart - (entry.activationStart || 0)));
+                    }
+                });
+                // LCP deja de actualizarse con la primera interacción
+                ['keydown', 'click'].forEach((type) => addListener(window, type, finalizeLcp));
+            }
+
+            if (config.captureLongTasks) observe('longtask', onLongTask);
+            if (config.captureLongAnimationFrames) observe('long-animation-frame', onLongAnimationFrame);
+            if (config.captureResources) observe('resource', onResource);
+
+            // ErrorInterceptor vuelca las long tasks pendientes antes de armar el payload
+            removePreReportHook = addPreReportHook(flush);
+
+            if (config.reportOnPageHide && typeof document !== 'undefined') {
+                addListener(document, 'visibilitychange', () => {
+                    if (document.visibilityState === 'hidden') sendReport();
+                });
+                addListener(window, 'pagehide', sendReport);
+            }
+
+            console.log('SyntropyFront: Performance interceptor inicializado');
+        },
+
+        flush,
+
+        /**
+         * Obtiene el reporte actual sin enviarlo ni registrar breadcrumbs
+         * @returns {Object} Reporte
+         */
+        getReport() {
+            return buildReport();
+        },
+
+        /**
+         * Obtiene información del interceptor
+         * @returns {Object} Información del interceptor
+         */
+        getInfo() {
+            return {
+                name: 'performance',
+                isInitialized: !!api,
+                observedTypes: observers.length,
+                vitals: { ...vitals },
+                methods: ['flush', 'getReport', 'getInfo']
+            };
+        },
+
+        /**
+         * Destruye el interceptor, desconecta los observers y quita los listeners
+         */
+        destroy() {
+            try {
+                observers.forEach(({ observer }) => observer.disconnect());
+                observers.length = 0;
+                listeners.forEach(({ target, type, handler, options: listenerOptions }) => {
+                    target.removeEventListener(type, handler, listenerOptions);
+                });
+                listeners.length = 0;
+                if (removePreReportHook) {
+                    removePreReportHook();
+                    removePreReportHook = null;
+                }
+                api = null;
+
+                console.log('SyntropyFront: Performance interceptor destruido');
+            } catch (error) {
+                console.error('SyntropyFront: Error destruyendo Performance interceptor:', error);
+            }
+        }
+    };
+}
@@ -0,0 +1,197 @@
+import { createSanitizer } from './utils/sanitizer.js';
+import { createStateRecorder } from './utils/stateRecorder.js';
+import { now } from './utils/time.js';
+import { parseStack } from './utils/stackParser.js';
+import { recordStoreActivity } from './utils/storeActivity.js';
+
+/**
+ * PiniaInterceptor - Interceptor para stores de Pinia
+ * Registra acciones ($onAction) y mutaciones ($subscribe) por store id
+ * Usa la API segura de SyntropyFront
+ *
+ * @param {Object} options - Opciones de sanitización y estado (ver VuexInterceptor)
+ * @param {string} [options.stateMode] - 'snapshot' (por defecto) o 'diff' (parches JSON-Patch)
+ */
+export default function PiniaInterceptor(options = {}) {
+    const sanitizer = createSanitizer(options);
+    // storeId -> registrador de estado (cada store tiene su propio baseline)
+    const recorders = new Map();
+    let instrumented = new WeakSet();
+    let subscriptions = [];
+    let pinia = null;
+    let api = null;
+
+    const getRecorder = (storeId) => {
+        if (!recorders.has(storeId)) {
+            recorders.set(storeId, createStateRecorder(sanitizer, options));
+        }
+        return recorders.get(storeId);
+    };
+
+    /**
+     * Instrumenta un store: acciones y mutaciones
+     * @param {Object} piniaStore - Store de Pinia
+     */
+    const instrumentStore = (piniaStore) => {
+        // Sin API (antes de init o tras destroy) no se instrumenta; setPinia() recorre los existentes
+        if (!api || !piniaStore || instrumented.has(piniaStore)) return;
+        instrumented.add(piniaStore);
+
+        const storeId = piniaStore.$id;
+        const recorder = getRecorder(storeId);
+        recorder.before(piniaStore.$state, null);
+
+        // detached = true: la suscripción sobrevive al desmontaje del componente
+        const stopActions = piniaStore.$onAction(({ name, args, after, onError }) => {
+            if (!api) return;
+            const start = now();
+            recordStoreActivity('pinia', `${storeId}.${name}`);
+
+            api.addBreadcrumb('pinia', `Pinia Action: ${storeId}.${name}`, {
+                storeId,
+                action: name,
+                args: sanitizer.sanitizeAction(args),
+                status: 'started'
+            });
+
+            after(() => {
+                if (!api) return;
+                api.addBreadcrumb('pinia', `Pinia Action Completed: ${storeId}.${name}`, {
+                    storeId,
+                    action: name,
+                    status: 'completed',
+                    duration: Math.round(now() - start)
+                });
+            });
+
+            // onError cubre tanto errores síncronos como promesas rechazadas
+            onError((error) => {
+                if (!api) return;
+                const duration = Math.round(now() - start);
+                api.addBreadcrumb('pinia', `Pinia Action Failed: ${storeId}.${name}`, {
+                    storeId,
+                    action: name,
+                    status: 'failed',
+                    duration
+                });
+                api.sendError({
+                    type: 'pinia_action_error',
+                    error: {
+                        message: error?.message ?? String(error),
+                        stack: error?.stack,
+                        frames: parseStack(error?.stack)
+                    },
+                    storeId,
+                    action: name,
+                    args: sanitizer.sanitizeAction(args),
+                    duration
+                });
+            });
+        }, true);
+
+        // flush 'sync': un breadcrumb por mutación en lugar de agruparlas por tick
+        const stopMutations = piniaStore.$subscribe((mutation, state) => {
+            if (!api) return;
+            const data = {
+                storeId,
+                mutationType: mutation.type,
+                payload: sanitizer.sanitizeAction(mutation.payload)
+            };
+            if (recorder.mode === 'diff') {
+                Object.assign(data, recorder.after(state, mutation));
+            } else {
+                data.newState = sanitizer.sanitizeState(state, mutation);
+            }
+            api.addBreadcrumb('pinia', `Pinia Mutation: ${storeId} (${mutation.type})`, data);
+        }, { detached: true, flush: 'sync' });
+
+        subscriptions.push(stopActions, stopMutations);
+    };
+
+    /**
+     * Plugin de Pinia: pinia.use(interceptor.plugin)
+     * @param {Object} context - Contexto del plugin ({ store, app, pinia, options })
+     */
+    const plugin = ({ store }) => {
+        instrumentStore(store);
+    };
+
+    return {
+        name: 'pinia',
+        plugin,
+
+        /**
+         * Inicializa el interceptor
+         * @param {Object} apiInstance - API segura de SyntropyFront
+         */
+        init(apiInstance) {
+            api = apiInstance;
+            console.log('SyntropyFront: Pinia interceptor inicializado (esperando pinia)');
+        },
+
+        /**
+         * Registra el interceptor como plugin de una instancia de Pinia
+         * @param {Object} piniaInstance - Instancia creada con createPinia()
+         */
+        setPinia(piniaInstance) {
+            if (!api) {
+                console.warn('SyntropyFront: Pinia interceptor no inicializado');
+                return;
+            }
+
+            if (!piniaInstance || typeof piniaInstance.use !== 'function') {
+                console.warn('SyntropyFront: Instancia de Pinia no válida');
+                return;
+            }
+
+            try {
+                pinia = piniaInstance;
+                pinia.use(plugin);
+
+                // pinia.use() solo aplica a stores creados después; instrumentar los existentes
+                if (pinia._s instanceof Map) {
+                    pinia._s.forEach((existingStore) => instrumentStore(existingStore));
+                }
+
+                console.log('SyntropyFront: Pinia configurado');
+            } catch (error) {
+                console.error('SyntropyFront: Error configurando Pinia:', error);
+            }
+        },
+
+        /**
+         * Obtiene información del interceptor
+         * @returns {Object} Información del interceptor
+         */
+        getInfo() {
+            return {
+                name: 'pinia',
+                isInitialized: !!api,
+                hasPinia: !!pinia,
+                stores: Array.from(recorders.keys()),
+                methods: ['setPinia', 'plugin', 'getInfo']
+            };
+        },
+
+        /**
+         * Destruye el interceptor
+         * Pinia no permite quitar plugins; se cancelan las suscripciones y se ignoran stores nuevos
+         */
+        destroy() {
+            try {
+                subscriptions.forEach((stop) => stop());
+
+                // Limpiar referencias
+                subscriptions = [];
+                instrumented = new WeakSet();
+                recorders.clear();
+                pinia = null;
+                api = null;
+
+                console.log('SyntropyFront: Pinia interceptor destruido');
+            } catch (error) {
+                console.error('SyntropyFront: Error destruyendo Pinia interceptor:', error);
+            }
+        }
+    };
+}
@@ -0,0 +1,286 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { createSanitizer } from './utils/sanitizer.js';
+import { normalizeError } from './utils/errorNormalizer.js';
+
+/**
+ * Datos del proceso que acompañan a cada error
+ * @returns {Object} { pid, nodeVersion, platform, uptime, memory }
+ */
+function getProcessInfo() {
+    const memory = process.memoryUsage();
+    return {
+        pid: process.pid,
+        nodeVersion: process.version,
+        platform: process.platform,
+        uptime: Math.round(process.uptime()),
+        memory: { rss: memory.rss, heapUsed: memory.heapUsed }
+    };
+}
+
+/**
+ * Modo de `--unhandled-rejections` con el que corre el proceso (execArgv o NODE_OPTIONS)
+ * Sin flag: 'throw' desde Node 15, 'warn' en versiones anteriores
+ * @returns {string} 'throw' | 'strict' | 'warn' | 'warn-with-error-code' | 'none'
+ */
+function getNodeRejectionMode() {
+    const args = [...(process.execArgv || []), ...String(process.env.NODE_OPTIONS || '').split(/\s+/)];
+    const flag = args.reverse().find((arg) => arg.startsWith('--unhandled-rejections='));
+    if (flag) return flag.split('=')[1];
+    return parseInt(process.versions.node, 10) >= 15 ? 'throw' : 'warn';
+}
+
+/**
+ * Error con el que Node relanza un rechazo como uncaughtException
+ * Los motivos que no son Error se envuelven en ERR_UNHANDLED_REJECTION, como hace Node
+ * @param {*} reason - Motivo del rechazo
+ * @returns {Error} Error a entregar a los listeners de uncaughtException
+ */
+function toUncaughtError(reason) {
+    if (reason instanceof Error) return reason;
+    const error = new Error('This error originated either by throwing inside of an async function without a catch block, '
+        + `or by rejecting a promise which was not handled with .catch(). The promise rejected with the reason "${String(reason)}".`);
+    error.code = 'ERR_UNHANDLED_REJECTION';
+    return error;
+}
+
+/**
+ * ProcessInterceptor - Interceptor de errores para Node y SSR (Next.js, Nuxt, Express...)
+ * Escucha `uncaughtException`, `unhandledRejection` y `warning` del proceso y adjunta
+ * el contexto del request en curso mediante AsyncLocalStorage
+ * Usa la API segura de SyntropyFront
+ *
+ * Usage:
+ * import { ProcessInterceptor } from '@syntropyfront/interceptors/node';
+ *
+ * const processInterceptor = ProcessInterceptor();
+ * processInterceptor.init(api);
+ * app.use(processInterceptor.requestHandler());
+ *
+ * @param {Object} options - Opciones
+ * @param {boolean} [options.captureUncaughtExceptions] - Escuchar uncaughtException
+ * @param {boolean} [options.captureUnhandledRejections] - Escuchar unhandledRejection
+ * @param {boolean} [options.captureWarnings] - Registrar warnings del proceso como breadcrumbs
+ * @param {boolean} [options.exitOnUncaughtException] - Terminar el proceso como Node si no hay otros listeners
+ * @param {string} [options.unhandledRejectionMode] - 'node' (por defecto: reportar y hacer lo que haría Node según
+ *   --unhandled-rejections; desde Node 15 termina el proceso), 'strict' (reportar y terminar siempre)
+ *   o 'warn' (opt-in: reportar, avisar por consola y seguir)
+ * @param {number} [options.shutdownTimeout] - ms de espera para enviar el error antes de terminar
+ * @param {Array<string|RegExp>} [options.maskKeys] - Patrones de clave enmascarados en el contexto
+ */
+export default function ProcessInterceptor(options = {}) {
+    const config = {
+        captureUncaughtExceptions: true,
+        captureUnhandledRejections: true,
+        captureWarnings: true,
+        exitOnUncaughtException: true,
+        unhandledRejectionMode: 'node',
+        shutdownTimeout: 2000,
+        ...options
+    };
+    // Contexto del request: acotado para no inflar cada payload
+    const sanitizer = createSanitizer({ maxDepth: 4, maxSize: 8192, ...options });
+    const storage = new AsyncLocalStorage();
+    const handlers = {};
+    let isExiting = false;
+    let api = null;
+
+    const getContext = () => storage.getStore() || null;
+
+    /**
+     * Envía un error con el contexto del request y los datos del proceso
+     */
+    const report = (type, reason, extra = {}) => {
+        if (!api) return;
+        const context = getContext();
+        api.sendError({
+            type,
+            error: normalizeError(reason),
+            ...extra,
+            context: context ? sanitizer.sanitizeAction(context) : undefined,
+            process: getProcessInfo(),
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    /**
+     * Termina el proceso después de dar tiempo a enviar el error
+     */
+    const exitAfterReport = (error) => {
+        if (isExiting) return;
+        isExiting = true;
+        // Lo que Node hubiera mostrado sin listeners
+        console.error(error);
+
+        const exit = () => process.exit(1);
+        const timer = setTimeout(exit, config.shutdownTimeout);
+        const flush = api && typeof api.flush === 'function' ? api.flush() : null;
+        if (flush && typeof flush.then === 'function') {
+            flush.then(() => {
+                clearTimeout(timer);
+                exit();
+            }, exit);
+        }
+    };
+
+    const addHandler = (event, handler) => {
+        handlers[event] = handler;
+        process.on(event, handler);
+    };
+
+    return {
+        name: 'process',
+
+        /**
+         * Inicializa el interceptor
+         * @param {Object} apiInstance - API segura de SyntropyFront
+         */
+        init(apiInstance) {
+            if (typeof process === 'undefined' || typeof process.on !== 'function') {
+                console.warn('SyntropyFront: Process interceptor requiere Node, no se inicializa');
+                return;
+            }
+            if (api) return;
+
+            api = apiInstance;
+
+            if (config.captureUncaughtExceptions) {
+                addHandler('uncaughtException', (error, origin) => {
+                    report('node_uncaught_exception', error, { origin });
+                    // Con un listener propio Node ya no termina el proceso: replicar su comportamiento
+                    if (config.exitOnUncaughtException && process.listenerCount('uncaughtException') === 1) {
+                        exitAfterReport(error);
+                    }
+                });
+            }
+
+            if (config.captureUnhandledRejections) {
+                // Un listener de unhandledRejection desactiva el comportamiento por defecto de Node
+                // (terminar el proceso desde Node 15): el modo 'node' lo replica
+                const nodeMode = getNodeRejectionMode();
+                addHandler('unhandledRejection', (reason) => {
+                    const mode = config.unhandledRejectionMode === 'node' ? nodeMode : config.unhandledRejectionMode;
+                    // Con --unhandled-rejections=strict Node ya la lanzó como uncaughtException
+                    if (!(mode === 'strict' && config.unhandledRejectionMode === 'node' && handlers.uncaughtException)) {
+                        report('node_unhandled_rejection', reason);
+                    }
+                    // Otros listeners: la app decidió manejar los rechazos, como en Node
+                    const isOnlyListener = process.listenerCount('unhandledRejection') === 1;
+
+                    if (config.unhandledRejectionMode === 'strict') {
+                        exitAfterReport(reason);
+                    } else if (mode === 'throw' && isOnlyListener) {
+                        // Node relanza el rechazo como uncaughtException: si la app escucha ese evento,
+                        // sus listeners lo reciben y el proceso sigue; si no, termina
+                        const appListeners = process.listeners('uncaughtException')
+                            .filter((listener) => listener !== handlers.uncaughtException);
+                        if (appListeners.length === 0) {
+                            exitAfterReport(reason);
+                        } else {
+                            const error = toUncaughtError(reason);
+                            appListeners.forEach((listener) => listener.call(process, error, 'unhandledRejection'));
+                        }
+                    } else if (mode === 'warn-with-error-code' && isOnlyListener) {
+                        process.exitCode = 1;
+                        console.warn('SyntropyFront: Unhandled promise rejection:', reason);
+                    } else if (config.unhandledRejectionMode === 'warn' && isOnlyListener) {
+                        // Opt-in: seguir corriendo (en modo 'node' con el flag warn es Node quien avisa)
+                        console.warn('SyntropyFront: Unhandled promise rejection:', reason);
+                    }
+                });
+            }
+
+            if (config.captureWarnings) {
+                addHandler('warning', (warning) => {
+                    if (!api) return;
+                    api.addBreadcrumb('process', `Node Warning: ${warning.name}: ${warning.message}`, {
+                        name: warning.name,
+                        code: warning.code
+                    });
+                });
+            }
+
+            console.log('SyntropyFront: Process interceptor inicializado');
+        },
+
+        /**
+         * Ejecuta una función con un contexto de request
+         * Los errores ocurridos dentro (incluso asíncronos) se envían con ese contexto
+         * @param {Object} context - Contexto (requestId, ruta, usuario...)
+         * @param {Function} fn - Función a ejecutar
+         * @returns {*} Resultado de fn
+         */
+        runWithContext(context, fn) {
+            return storage.run({ ...context }, fn);
+        },
+
+        /**
+         * Agrega datos al contexto del request en curso
+         * @param {Object} values - Datos a agregar
+         */
+        setContext(values) {
+            const context = storage.getStore();
+            if (context) {
+                Object.assign(context, values);
+            }
+        },
+
+        getContext,
+
+        /**
+         * Middleware para Express / Connect / Node http que crea el contexto de cada request
+         * @param {Function} [buildContext] - (req) => contexto adicional
+         * @returns {Function} (req, res, next) => void
+         */
+        requestHandler(buildContext) {
+            return (req, res, next) => {
+                const context = {
+                    requestId: req.headers?.['x-request-id'] || null,
+                    method: req.method,
+                    path: String(req.originalUrl || req.url || '').split('?')[0],
+                    ...(buildContext ? buildContext(req) : {})
+                };
+                storage.run(context, next);
+            };
+        },
+
+        /**
+         * Envía un error capturado manualmente (p. ej. en un error handler de SSR)
+         * @param {*} error - Error
+         * @param {Object} extra - Datos adicionales del payload
+         */
+        captureError(error, extra = {}) {
+            report('server_error', error, extra);
+        },
+
+        /**
+         * Obtiene información del interceptor
+         * @returns {Object} Información del interceptor
+         */
+        getInfo() {
+            return {
+                name: 'process',
+                isInitialized: !!api,
+                listeners: Object.keys(handlers),
+                unhandledRejectionMode: config.unhandledRejectionMode,
+                methods: ['runWithContext', 'setContext', 'getContext', 'requestHandler', 'captureError', 'getInfo']
+            };
+        },
+
+        /**
+         * Destruye el interceptor y quita los listeners del proceso
+         */
+        destroy() {
+            try {
+                Object.keys(handlers).forEach((event) => {
+                    process.off(event, handlers[event]);
+                    delete handlers[event];
+                });
+                api = null;
+
+                console.log('SyntropyFront: Process interceptor destruido');
+            } catch (error) {
+                console.error('SyntropyFront: Error destruyendo Process interceptor:', error);
+            }
+        }
+    };
+}
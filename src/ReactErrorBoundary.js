@@ -0,0 +1,177 @@
+import React from 'react';
+import { parseStack } from './utils/stackParser.js';
+
+// Un mismo error puede llegar por componentDidCatch y por onCaughtError de React 19
+const reportedErrors = new WeakSet();
+
+/**
+ * Envía un error de React con su component stack y los breadcrumbs actuales
+ * @param {Object} api - API segura de SyntropyFront
+ * @param {string} type - Tipo de error
+ * @param {*} error - Error capturado
+ * @param {Object} errorInfo - { componentStack }
+ * @param {Object} extra - Datos adicionales del payload
+ */
+function reportReactError(api, type, error, errorInfo, extra = {}) {
+    if (!api || typeof api.sendError !== 'function') return;
+
+    if (error !== null && typeof error === 'object') {
+        if (reportedErrors.has(error)) return;
+        reportedErrors.add(error);
+    }
+
+    const errorPayload = {
+        type,
+        error: {
+            name: error?.name,
+            message: error?.message ?? String(error),
+            stack: error?.stack,
+            frames: parseStack(error?.stack),
+            componentStack: errorInfo?.componentStack
+        },
+        ...extra,
+        timestamp: new Date().toISOString()
+    };
+
+    if (typeof api.getBreadcrumbs === 'function') {
+        errorPayload.breadcrumbs = api.getBreadcrumbs();
+    }
+
+    api.sendError(errorPayload);
+}
+
+/**
+ * Indica si cambió alguna de las resetKeys
+ * @param {Array} prev - Claves anteriores
+ * @param {Array} next - Claves actuales
+ * @returns {boolean} True si hay diferencias
+ */
+function resetKeysChanged(prev = [], next = []) {
+    return prev.length !== next.length || prev.some((key, index) => !Object.is(key, next[index]));
+}
+
+/**
+ * SyntropyErrorBoundary - Error boundary que reporta errores de render a SyntropyFront
+ *
+ * Usage:
+ * <SyntropyErrorBoundary
+ *     api={api}
+ *     name="Checkout"
+ *     fallback={({ error, resetErrorBoundary }) => <Retry onClick={resetErrorBoundary} />}
+ *     resetKeys={[userId]}
+ * >
+ *     <Checkout />
+ * </SyntropyErrorBoundary>
+ *
+ * Props:
+ * - api: API segura de SyntropyFront
+ * - name: nombre del boundary, se incluye en el payload
+ * - fallback: elemento, o función ({ error, resetErrorBoundary }) => elemento
+ * - onError: (error, errorInfo) => void
+ * - onReset: (...args) => void, se llama al resetear
+ * - resetKeys: array; si cambia alguna clave el boundary se resetea
+ */
+export class SyntropyErrorBoundary extends React.Component {
+    constructor(props) {
+        super(props);
+        // hasError aparte: `throw null` o `throw undefined` también son errores
+        this.state = { hasError: false, error: null };
+        this.resetErrorBoundary = this.resetErrorBoundary.bind(this);
+    }
+
+    static getDerivedStateFromError(error) {
+        return { hasError: true, error };
+    }
+
+    componentDidCatch(error, errorInfo) {
+        reportReactError(this.props.api, 'react_render_error', error, errorInfo, {
+            boundary: this.props.name
+        });
+
+        if (this.props.onError) {
+            this.props.onError(error, errorInfo);
+        }
+    }
+
+    componentDidUpdate(prevProps) {
+        if (this.state.hasError && resetKeysChanged(prevProps.resetKeys, this.props.resetKeys)) {
+            this.resetErrorBoundary();
+        }
+    }
+
+    /**
+     * Limpia el error y vuelve a renderizar los hijos
+     * @param {...*} args - Argumentos reenviados a onReset
+     */
+    resetErrorBoundary(...args) {
+        if (this.props.onReset) {
+            this.props.onReset(...args);
+        }
+        this.setState({ hasError: false, error: null });
+    }
+
+    render() {
+        const { hasError, error } = this.state;
+        if (!hasError) return this.props.children;
+
+        const { fallback } = this.props;
+        if (typeof fallback === 'function') {
+            return fallback({ error, resetErrorBoundary: this.resetErrorBoundary });
+        }
+        return fallback ?? null;
+    }
+}
+
+/**
+ * Crea los handlers de error para las opciones de root de React 19
+ *
+ * Usage:
+ * createRoot(container, createRootErrorHandlers(api)).render(<App />);
+ *
+ * @param {Object} api - API segura de SyntropyFront
+ * @param {Object} options - Handlers propios a encadenar
+ * @param {Function} [options.onCaughtError] - Se llama después de reportar
+ * @param {Function} [options.onUncaughtError] - Se llama después de reportar
+ * @param {Function} [options.onRecoverableError] - Se llama después de registrar el breadcrumb
+ * @returns {Object} { onCaughtError, onUncaughtError, onRecoverableError }
+ */
+export function createRootErrorHandlers(api, options = {}) {
+    return {
+        // Errores atrapados por un error boundary
+        onCaughtError(error, errorInfo) {
+            reportReactError(api, 'react_caught_error', error, errorInfo);
+            if (options.onCaughtError) {
+                options.onCaughtError(error, errorInfo);
+            } else {
+                console.error(error);
+            }
+        },
+
+        // Errores que ningún boundary atrapó (React desmonta el árbol)
+        onUncaughtError(error, errorInfo) {
+            reportReactError(api, 'react_uncaught_error', error, errorInfo);
+            if (options.onUncaughtError) {
+                options.onUncaughtError(error, errorInfo);
+            } else if (typeof reportError === 'function') {
+                // Lo mismo que hace React por defecto: el error llega a window.onerror
+                reportError(error);
+            } else {
+                console.error(error);
+            }
+        },
+
+        // Errores de los que React se recupera (p. ej. hydration mismatch)
+        onRecoverableError(error, errorInfo) {
+            if (api && typeof api.addBreadcrumb === 'function') {
+                api.addBreadcrumb('react', `React Recoverable Error: ${error?.message ?? String(error)}`, {
+                    componentStack: errorInfo?.componentStack
+                });
+            }
+            if (options.onRecoverableError) {
+                options.onRecoverableError(error, errorInfo);
+            } else {
+                console.error(error);
+            }
+        }
+    };
+}
@@ -0,0 +1,518 @@
+import { createKeyMatcher, createSanitizer } from './utils/sanitizer.js';
+import { createErrorGate } from './utils/errorGate.js';
+import { now } from './utils/time.js';
+import { DEFAULT_QUERY_MASKS, redactUrl } from './utils/url.js';
+
+// Códigos de cierre que no indican un problema (1000 normal, 1001 going away,
+// 1005 el servidor cerró sin enviar código)
+const NORMAL_CLOSE_CODES = [1000, 1001, 1005];
+
+// Eventos de EventSource que el interceptor ya escucha; el resto son eventos SSE con nombre (`event: foo`)
+const EVENTSOURCE_EVENTS = ['open', 'message', 'error'];
+
+let textEncoder = null;
+
+/**
+ * Tamaño aproximado en bytes de un mensaje
+ * @param {*} data - string, ArrayBuffer, TypedArray o Blob
+ * @returns {number} Bytes
+ */
+function getMessageSize(data) {
+    if (typeof data === 'string') {
+        if (!textEncoder && typeof TextEncoder !== 'undefined') {
+            textEncoder = new TextEncoder();
+        }
+        return textEncoder ? textEncoder.encode(data).length : data.length;
+    }
+    if (data && typeof data.byteLength === 'number') return data.byteLength;
+    if (data && typeof data.size === 'number') return data.size;
+    return 0;
+}
+
+/**
+ * RealtimeInterceptor - Interceptor de WebSocket y EventSource (SSE)
+ * Registra apertura, cierre (código y motivo) y errores de cada conexión, resume el
+ * tráfico de mensajes por intervalo (cantidad y bytes) y reporta cierres anormales
+ * y tormentas de reconexión
+ * Usa la API segura de SyntropyFront
+ *
+ * @param {Object} options - Opciones
+ * @param {boolean} [options.captureWebSocket] - Envolver window.WebSocket
+ * @param {boolean} [options.captureEventSource] - Envolver window.EventSource
+ * @param {number} [options.summaryInterval] - ms entre resúmenes de tráfico de cada conexión
+ * @param {boolean} [options.capturePayloads] - Incluir muestras de mensajes en los resúmenes (opt-in)
+ * @param {number} [options.maxPayloadsPerInterval] - Muestras por conexión e intervalo
+ * @param {number} [options.maxPayloadLength] - Caracteres por muestra
+ * @param {Function} [options.redactPayload] - (data, { direction, url, transport }) => data, antes del sanitizer
+ * @param {Array<string|RegExp>} [options.maskKeys] - Claves enmascaradas en las muestras JSON
+ * @param {Array<string|RegExp>} [options.redactQueryParams] - Parámetros de query enmascarados
+ * @param {Array<string|RegExp>} [options.excludeUrls] - URLs que no se registran
+ * @param {boolean} [options.reportAbnormalCloses] - Enviar cierres anormales de WebSocket como error
+ * @param {Array<number>} [options.normalCloseCodes] - Códigos de cierre normales
+ * @param {Object|false} [options.reconnectStorm] - { threshold, window }: conexiones a una URL que cuentan como tormenta
+ */
+export default function RealtimeInterceptor(options = {}) {
+    const config = {
+        captureWebSocket: true,
+        captureEventSource: true,
+        summaryInterval: 10000,
+        capturePayloads: false,
+        maxPayloadsPerInterval: 5,
+        maxPayloadLength: 512,
+        redactPayload: null,
+        redactQueryParams: DEFAULT_QUERY_MASKS,
+        excludeUrls: [],
+        reportAbnormalCloses: true,
+        normalCloseCodes: NORMAL_CLOSE_CODES,
+        reconnectStorm: { threshold: 5, window: 30000 },
+        ...options
+    };
+    const isMaskedParam = createKeyMatcher(config.redactQueryParams);
+    // Las muestras son pequeñas: poca profundidad y tamaño acotado
+    const sanitizer = createSanitizer({ maxDepth: 4, maxSize: 2048, ...options });
+    // socket / eventSource -> conexión
+    const connections = new Map();
+    // url -> { attempts: [timestamps], reportedAt }
+    const reconnects = new Map();
+    const originals = {};
+    const wrappers = {};
+    let summaryTimer = null;
+    let nextId = 1;
+    let gate = null;
+    let api = null;
+
+    const shouldIgnore = (url) => config.excludeUrls.some((pattern) =>
+        pattern instanceof RegExp ? pattern.test(url) : url.includes(pattern)
+    );
+
+    const label = (transport) => (transport === 'websocket' ? 'WebSocket' : 'EventSource');
+
+    /**
+     * Muestra redactada de un mensaje: JSON pasa por el sanitizer (maskKeys), el resto se trunca
+     */
+    const samplePayload = (connection, direction, data) => {
+        let value = data;
+        if (typeof config.redactPayload === 'function') {
+            try {
+                value = config.redactPayload(data, { direction, url: connection.url, transport: connection.transport });
+            } catch (error) {
+                value = '[redactPayload failed]';
+            }
+        }
+        if (typeof value !== 'string') {
+            return value && typeof value === 'object' && typeof value.byteLength !== 'number' && typeof value.size !== 'number'
+                ? sanitizer.sanitizeAction(value)
+                : `[binary ${getMessageSize(value)} bytes]`;
+        }
+        try {
+            return sanitizer.sanitizeAction(JSON.parse(value));
+        } catch (error) {
+            return value.length > config.maxPayloadLength
+                ? `${value.slice(0, config.maxPayloadLength)}… [${value.length} chars]`
+                : value;
+        }
+    };
+
+    const countMessage = (connection, direction, data) => {
+        if (!api) return;
+        const traffic = connection.traffic[direction];
+        traffic.count++;
+        traffic.bytes += getMessageSize(data);
+        if (config.capturePayloads && connection.samples.length < config.maxPayloadsPerInterval) {
+            connection.samples.push({ direction, data: samplePayload(connection, direction, data) });
+        }
+    };
+
+    /**
+     * Breadcrumb con el tráfico acumulado de una conexión desde el último resumen
+     */
+    const flushTraffic = (connection) => {
+        const { sent, received } = connection.traffic;
+        if (!api || (sent.count === 0 && received.count === 0)) return;
+
+        const data = {
+            transport: connection.transport,
+            url: connection.url,
+            connectionId: connection.id,
+            interval: Math.round(now() - connection.intervalStart),
+            sent: { ...sent },
+            received: { ...received }
+        };
+        if (connection.samples.length) {
+            data.samples = connection.samples;
+        }
+        api.addBreadcrumb('realtime', `${label(connection.transport)} traffic ${connection.url}: ${sent.count} sent, ${received.count} received`, data);
+
+        connection.traffic = { sent: { count: 0, bytes: 0 }, received: { count: 0, bytes: 0 } };
+        connection.samples = [];
+        connection.intervalStart = now();
+    };
+
+    const startSummaries = () => {
+        if (summaryTimer || !config.summaryInterval) return;
+        summaryTimer = setInterval(() => connections.forEach(flushTraffic), config.summaryInterval);
+    };
+
+    const stopSummariesIfIdle = () => {
+        if (summaryTimer && connections.size === 0) {
+            clearInterval(summaryTimer);
+            summaryTimer = null;
+        }
+    };
+
+    /**
+     * Cuenta un intento de conexión y reporta si la URL entra en tormenta de reconexión
+     */
+    const trackAttempt = (url, transport) => {
+        if (!config.reconnectStorm) return;
+        const { threshold, window: stormWindow } = config.reconnectStorm;
+        const timestamp = now();
+        const entry = reconnects.get(url) || { attempts: [], reportedAt: null };
+        entry.attempts = entry.attempts.filter((time) => timestamp - time < stormWindow);
+        entry.attempts.push(timestamp);
+        reconnects.set(url, entry);
+
+        if (entry.attempts.length < threshold) return;
+        if (entry.reportedAt !== null && timestamp - entry.reportedAt < stormWindow) return;
+        entry.reportedAt = timestamp;
+
+        gate.process({
+            type: 'realtime_reconnect_storm',
+            error: {
+                message: `${label(transport)} reconnect storm: ${entry.attempts.length} connections to ${url} in ${Math.round(stormWindow / 1000)}s`
+            },
+            connection: {
+                transport,
+                url,
+                attempts: entry.attempts.length,
+                window: stormWindow
+            },
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    const createConnection = (target, transport, rawUrl) => {
+        const connection = {
+            id: nextId++,
+            transport,
+            url: redactUrl(rawUrl, isMaskedParam),
+            createdAt: now(),
+            openedAt: null,
+            closedByApp: false,
+            traffic: { sent: { count: 0, bytes: 0 }, received: { count: 0, bytes: 0 } },
+            samples: [],
+            intervalStart: now(),
+            listeners: [],
+            // Eventos SSE con nombre que ya se cuentan
+            namedEvents: new Set()
+        };
+        const listen = (type, handler) => {
+            target.addEventListener(type, handler);
+            connection.listeners.push({ type, handler });
+        };
+        return { connection, listen };
+    };
+
+    const forget = (target) => {
+        const connection = connections.get(target);
+        if (!connection) return;
+        connection.listeners.forEach(({ type, handler }) => target.removeEventListener(type, handler));
+        connections.delete(target);
+        stopSummariesIfIdle();
+    };
+
+    /**
+     * Registra el ciclo de vida y el tráfico de un WebSocket
+     */
+    const trackWebSocket = (socket, rawUrl) => {
+        const { connection, listen } = createConnection(socket, 'websocket', rawUrl);
+        connections.set(socket, connection);
+        startSummaries();
+        trackAttempt(connection.url, 'websocket');
+
+        listen('open', () => {
+            if (!api) return;
+            connection.openedAt = now();
+            api.addBreadcrumb('realtime', `WebSocket open ${connection.url}`, {
+                transport: 'websocket',
+                url: connection.url,
+                connectionId: connection.id,
+                protocol: socket.protocol || undefined,
+                duration: Math.round(connection.openedAt - connection.createdAt)
+            });
+        });
+
+        listen('message', (event) => countMessage(connection, 'received', event.data));
+
+        listen('error', () => {
+            if (!api) return;
+            flushTraffic(connection);
+            api.addBreadcrumb('realtime', `WebSocket error ${connection.url}`, {
+                transport: 'websocket',
+                url: connection.url,
+                connectionId: connection.id,
+                readyState: socket.readyState
+            });
+        });
+
+        listen('close', (event) => {
+            if (!api) return;
+            flushTraffic(connection);
+            const data = {
+                transport: 'websocket',
+                url: connection.url,
+                connectionId: connection.id,
+                code: event.code,
+                reason: event.reason ? String(event.reason).slice(0, 256) : undefined,
+                wasClean: event.wasClean,
+                closedByApp: connection.closedByApp,
+                // Sin 'open' la conexión nunca se estableció
+                duration: Math.round(now() - (connection.openedAt ?? connection.createdAt)),
+                opened: connection.openedAt !== null
+            };
+            api.addBreadcrumb('realtime', `WebSocket close ${connection.url} ${event.code}`, data);
+
+            const abnormal = !connection.closedByApp && !config.normalCloseCodes.includes(event.code);
+            if (abnormal && config.reportAbnormalCloses) {
+                gate.process({
+                    type: 'websocket_abnormal_close',
+                    error: {
+                        message: `WebSocket closed abnormally: ${event.code}${data.reason ? ` (${data.reason})` : ''} ${connection.url}`
+                    },
+                    connection: data,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            forget(socket);
+        });
+    };
+
+    /**
+     * Registra el ciclo de vida y el tráfico de un EventSource
+     * EventSource reconecta solo: un 'error' con readyState CONNECTING es un reintento,
+     * con CLOSED la conexión se abandonó
+     */
+    const trackEventSource = (source, rawUrl) => {
+        const { connection, listen } = createConnection(source, 'eventsource', rawUrl);
+        connections.set(source, connection);
+        startSummaries();
+        trackAttempt(connection.url, 'eventsource');
+
+        listen('open', () => {
+            if (!api) return;
+            connection.openedAt = now();
+            api.addBreadcrumb('realtime', `EventSource open ${connection.url}`, {
+                transport: 'eventsource',
+                url: connection.url,
+                connectionId: connection.id,
+                duration: Math.round(connection.openedAt - connection.createdAt)
+            });
+        });
+
+        listen('message', (event) => countMessage(connection, 'received', event.data));
+
+        listen('error', () => {
+            if (!api) return;
+            flushTraffic(connection);
+            const closed = source.readyState === 2;
+            api.addBreadcrumb('realtime', `EventSource error ${connection.url} (${closed ? 'closed' : 'reconnecting'})`, {
+                transport: 'eventsource',
+                url: connection.url,
+                connectionId: connection.id,
+                readyState: source.readyState
+            });
+
+            if (!closed) {
+                trackAttempt(connection.url, 'eventsource');
+                return;
+            }
+            if (config.reportAbnormalCloses && !connection.closedByApp) {
+                gate.process({
+                    type: 'eventsource_closed',
+                    error: { message: `EventSource connection failed: ${connection.url}` },
+                    connection: {
+                        transport: 'eventsource',
+                        url: connection.url,
+                        connectionId: connection.id,
+                        opened: connection.openedAt !== null
+                    },
+                    timestamp: new Date().toISOString()
+                });
+            }
+            forget(source);
+        });
+    };
+
+    const wrapWebSocket = () => {
+        const NativeWebSocket = window.WebSocket;
+        if (typeof NativeWebSocket !== 'function') return;
+        originals.WebSocket = NativeWebSocket;
+
+        // Subclase: conserva instanceof, las constantes (OPEN, CLOSED...) y el prototipo nativo
+        wrappers.WebSocket = class WebSocket extends NativeWebSocket {
+            constructor(url, protocols) {
+                super(url, protocols);
+                const rawUrl = String(url);
+                if (api && !shouldIgnore(rawUrl)) {
+                    trackWebSocket(this, rawUrl);
+                }
+            }
+
+            send(data) {
+                const connection = connections.get(this);
+                if (connection) countMessage(connection, 'sent', data);
+                return super.send(data);
+            }
+
+            close(code, reason) {
+                const connection = connections.get(this);
+                if (connection) connection.closedByApp = true;
+                return super.close(code, reason);
+            }
+        };
+        window.WebSocket = wrappers.WebSocket;
+    };
+
+    const wrapEventSource = () => {
+        const NativeEventSource = window.EventSource;
+        if (typeof NativeEventSource !== 'function') return;
+        originals.EventSource = NativeEventSource;
+
+        wrappers.EventSource = class EventSource extends NativeEventSource {
+            constructor(url, init) {
+                super(url, init);
+                const rawUrl = String(url);
+                if (api && !shouldIgnore(rawUrl)) {
+                    trackEventSource(this, rawUrl);
+                }
+            }
+
+            // Los eventos con nombre solo llegan a quien los escucha: se cuentan los que escucha la app
+            addEventListener(type, listener, options) {
+                const connection = connections.get(this);
+                const eventType = String(type);
+                if (connection && !EVENTSOURCE_EVENTS.includes(eventType) && !connection.namedEvents.has(eventType)) {
+                    const handler = (event) => countMessage(connection, 'received', event.data);
+                    connection.namedEvents.add(eventType);
+                    connection.listeners.push({ type: eventType, handler });
+                    super.addEventListener(eventType, handler);
+                }
+                return super.addEventListener(type, listener, options);
+            }
+
+            close() {
+                const connection = connections.get(this);
+                if (connection && api) {
+                    connection.closedByApp = true;
+                    flushTraffic(connection);
+                    api.addBreadcrumb('realtime', `EventSource close ${connection.url}`, {
+                        transport: 'eventsource',
+                        url: connection.url,
+                        connectionId: connection.id,
+                        duration: Math.round(now() - (connection.openedAt ?? connection.createdAt))
+                    });
+                    forget(this);
+                }
+                return super.close();
+            }
+        };
+        window.EventSource = wrappers.EventSource;
+    };
+
+    return {
+        name: 'realtime',
+
+        /**
+         * Inicializa el interceptor
+         * @param {Object} apiInstance - API segura de SyntropyFront
+         */
+        init(apiInstance) {
+            if (typeof window === 'undefined') {
+                console.warn('SyntropyFront: Realtime interceptor requiere window, se omite');
+                return;
+            }
+            if (api) return;
+
+            api = apiInstance;
+            gate = createErrorGate((payload) => api && api.sendError(payload), {
+                fingerprint: (payload) => [
+                    payload.type,
+                    payload.connection.url,
+                    payload.connection.code
+                ].join('|')
+            });
+
+            try {
+                if (config.captureWebSocket) wrapWebSocket();
+                if (config.captureEventSource) wrapEventSource();
+                console.log('SyntropyFront: Realtime interceptor inicializado');
+            } catch (error) {
+                console.error('SyntropyFront: Error inicializando Realtime interceptor:', error);
+            }
+        },
+
+        /**
+         * Emite ya los resúmenes de tráfico pendientes de todas las conexiones
+         */
+        flush() {
+            connections.forEach(flushTraffic);
+        },
+
+        /**
+         * Obtiene información del interceptor
+         * @returns {Object} Información del interceptor
+         */
+        getInfo() {
+            return {
+                name: 'realtime',
+                isInitialized: !!api,
+                capturesWebSocket: !!wrappers.WebSocket,
+                capturesEventSource: !!wrappers.EventSource,
+                connections: [...connections.values()].map(({ id, transport, url, openedAt }) => ({
+                    id,
+                    transport,
+                    url,
+                    open: openedAt !== null
+                })),
+                stats: gate ? gate.getStats() : null,
+                methods: ['flush', 'getInfo']
+            };
+        },
+
+        /**
+         * Destruye el interceptor y restaura los constructores
+         * Las conexiones abiertas siguen funcionando pero dejan de registrarse
+         */
+        destroy() {
+            try {
+                connections.forEach(flushTraffic);
+                [...connections.keys()].forEach(forget);
+
+                // Solo restaurar si nadie los reemplazó después
+                ['WebSocket', 'EventSource'].forEach((name) => {
+                    if (wrappers[name] && window[name] === wrappers[name]) {
+                        window[name] = originals[name];
+                    }
+                    delete wrappers[name];
+                    delete originals[name];
+                });
+
+                if (gate) {
+                    gate.flush();
+                }
+                if (summaryTimer) {
+                    clearInterval(summaryTimer);
+                    summaryTimer = null;
+                }
+
+                reconnects.clear();
+                gate = null;
+                api = null;
+
+                console.log('SyntropyFront: Realtime interceptor destruido');
+            } catch (error) {
+                console.error('SyntropyFront: Error destruyendo Realtime interceptor:', error);
+            }
+        }
+    };
+}
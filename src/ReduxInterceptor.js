@@ -1,13 +1,361 @@
+import { createSanitizer } from './utils/sanitizer.js';
+import { createStateRecorder } from './utils/stateRecorder.js';
+import { now } from './utils/time.js';
+import { parseStack } from './utils/stackParser.js';
+import { createStoreDiscovery, getDiscoveryOptions } from './utils/storeDiscovery.js';
+import { recordStoreActivity } from './utils/storeActivity.js';
+
+const MAX_OPEN_SPANS = 100;
+
+/**
+ * Indica si una acción pertenece al ciclo de vida de createAsyncThunk (RTK / RTK Query)
+ * @param {Object} action - Acción de Redux
+ * @returns {boolean} True si tiene meta.requestId y meta.requestStatus
+ */
+function isAsyncLifecycleAction(action) {
+    return !!(action && action.meta && action.meta.requestId && action.meta.requestStatus);
+}
+
+/**
+ * Quita el sufijo /pending|/fulfilled|/rejected de un type de RTK
+ * @param {string} type - Type de la acción
+ * @returns {string} typePrefix de createAsyncThunk
+ */
+function getTypePrefix(type) {
+    return String(type).replace(/\/(pending|fulfilled|rejected)$/, '');
+}
+
+/**
+ * Crea el trazador de dispatch compartido por setStore() y syntropyMiddleware()
+ * Entiende thunks, el trío pending/fulfilled/rejected de createAsyncThunk y las
+ * acciones de ciclo de vida de RTK Query
+ * @param {Function} getApi - Devuelve la API segura de SyntropyFront
+ * @param {Object} sanitizer - Sanitizer creado con createSanitizer()
+ * @param {Object} recorder - Registrador creado con createStateRecorder()
+ * @returns {Function} (action, getState, next) => resultado de next(action)
+ */
+function createDispatchTracer(getApi, sanitizer, recorder) {
+    // requestId -> { typePrefix, start, endpointName, operation }
+    const openSpans = new Map();
+
+    /**
+     * Envía el error lanzado por un reducer durante el dispatch
+     */
+    const reportDispatchError = (api, error, action, getState) => {
+        const errorPayload = {
+            type: 'redux_dispatch_error',
+            error: {
+                message: error.message,
+                stack: error.stack,
+                frames: parseStack(error.stack)
+            },
+            action: sanitizer.sanitizeAction(action)
+        };
+        if (recorder.mode === 'diff') {
+            // El snapshot completo permite reconstruir el estado al fallar;
+            // el reducer pudo dejar el estado a medias, así que se descarta el baseline
+            errorPayload.state = recorder.snapshot(getState(), action);
+            recorder.reset();
+        }
+        api.sendError(errorPayload);
+    };
+
+    /**
+     * Ejecuta next(action) registrando breadcrumbs de estado y errores del reducer
+     */
+    const recordAction = (api, action, getState, next, message, extra = {}) => {
+        try {
+            recordStoreActivity('redux', action.type);
+            if (recorder.mode === 'diff') {
+                // Modo diff: un solo breadcrumb con el parche de estado
+                recorder.before(getState(), action);
+                const result = next(action);
+                api.addBreadcrumb('redux', message, {
+                    action: sanitizer.sanitizeAction(action),
+                    ...extra,
+                    ...recorder.after(getState(), action)
+                });
+                return result;
+            }
+
+            // Agregar breadcrumb antes del dispatch
+            api.addBreadcrumb('redux', message, {
+                action: sanitizer.sanitizeAction(action),
+                ...extra,
+                state: sanitizer.sanitizeState(getState(), action)
+            });
+
+            // Ejecutar dispatch original
+            const result = next(action);
+
+            // Agregar breadcrumb después del dispatch
+            api.addBreadcrumb('redux', `Redux State Updated`, {
+                actionType: action.type,
+                newState: sanitizer.sanitizeState(getState(), action)
+            });
+
+            return result;
+        } catch (error) {
+            reportDispatchError(api, error, action, getState);
+            throw error;
+        }
+    };
+
+    /**
+     * Thunks: breadcrumb con duración; los errores síncronos se reportan como redux_thunk_error
+     * y los rechazos se dejan a la app (o a unhandledrejection si no los maneja)
+     */
+    const traceThunk = (api, thunk, next) => {
+        const name = thunk.name || 'anonymous';
+        const start = now();
+        let result;
+
+        try {
+            result = next(thunk);
+        } catch (error) {
+            api.sendError({
+                type: 'redux_thunk_error',
+                error: {
+                    message: error.message,
+                    stack: error.stack,
+                    frames: parseStack(error.stack)
+                },
+                thunk: name
+            });
+            throw error;
+        }
+
+        // Los thunks de createAsyncThunk se correlacionan por su ciclo de vida
+        if (result && result.requestId) return result;
+
+        if (result && typeof result.then === 'function') {
+            const record = (status) => {
+                try {
+                    api.addBreadcrumb('redux', `Redux Thunk: ${name}`, {
+                        thunk: name,
+                        status,
+                        duration: Math.round(now() - start)
+                    });
+                } catch (error) {
+                    // El trazado nunca cambia el resultado del thunk
+                }
+            };
+            // Se devuelve una promesa derivada que se rechaza con el mismo error: si la app
+            // no la maneja, sigue llegando a unhandledrejection (y a ErrorInterceptor) con
+            // este breadcrumb delante; si la maneja, no se reporta nada
+            const traced = result.then(
+                (value) => {
+                    record('fulfilled');
+                    return value;
+                },
+                (error) => {
+                    record('rejected');
+                    throw error;
+                }
+            );
+            // Propiedades propias de la promesa del thunk (abort, requestId...)
+            return Object.assign(traced, result);
+        }
+
+        api.addBreadcrumb('redux', `Redux Thunk: ${name}`, {
+            thunk: name,
+            status: 'completed',
+            duration: Math.round(now() - start)
+        });
+        return result;
+    };
+
+    /**
+     * createAsyncThunk / RTK Query: un solo breadcrumb (span) por requestId
+     */
+    const traceAsyncLifecycle = (api, action, getState, next) => {
+        const { requestId, requestStatus, arg } = action.meta;
+        const typePrefix = getTypePrefix(action.type);
+
+        if (requestStatus === 'pending') {
+            if (openSpans.size >= MAX_OPEN_SPANS) {
+                openSpans.delete(openSpans.keys().next().value);
+            }
+            openSpans.set(requestId, {
+                typePrefix,
+                start: now(),
+                endpointName: arg && arg.endpointName,
+                operation: arg && arg.type
+            });
+            // El breadcrumb se emite al cerrar el span (fulfilled/rejected)
+            try {
+                return next(action);
+            } catch (error) {
+                reportDispatchError(api, error, action, getState);
+                throw error;
+            }
+        }
+
+        const span = openSpans.get(requestId) || { typePrefix, start: null };
+        openSpans.delete(requestId);
+
+        const spanData = {
+            typePrefix,
+            requestId,
+            status: requestStatus,
+            duration: span.start === null ? null : Math.round(now() - span.start)
+        };
+        if (span.endpointName) {
+            spanData.endpointName = span.endpointName;
+            spanData.operation = span.operation;
+        }
+
+        const label = span.endpointName ? `RTK Query: ${span.endpointName}` : `Redux Async: ${typePrefix}`;
+        const result = recordAction(api, action, getState, next, `${label} ${requestStatus}`, { span: spanData });
+
+        // Rechazos intencionales (abort o condition) no son errores
+        if (requestStatus === 'rejected' && !action.meta.aborted && !action.meta.condition) {
+            const error = action.error || {};
+            api.sendError({
+                type: 'redux_async_rejected',
+                error: {
+                    name: error.name,
+                    message: error.message || 'Async action rejected',
+                    stack: error.stack,
+                    frames: parseStack(error.stack),
+                    code: error.code
+                },
+                actionType: typePrefix,
+                action: sanitizer.sanitizeAction(action),
+                span: spanData
+            });
+        }
+
+        return result;
+    };
+
+    return (action, getState, next) => {
+        const api = getApi();
+        if (!api) return next(action);
+
+        if (typeof action === 'function') {
+            return traceThunk(api, action, next);
+        }
+        if (isAsyncLifecycleAction(action)) {
+            return traceAsyncLifecycle(api, action, getState, next);
+        }
+        return recordAction(api, action, getState, next, `Redux Action: ${action && action.type}`);
+    };
+}
+
+/**
+ * Middleware de Redux para SyntropyFront
+ * Alternativa a setStore(): se coloca en la cadena de middlewares, por lo que ve
+ * también los dispatch hechos por otros middlewares
+ *
+ * Usage:
+ * configureStore({
+ *     reducer,
+ *     middleware: (getDefault) => getDefault().prepend(syntropyMiddleware(api, { stateMode: 'diff' }))
+ * });
+ *
+ * @param {Object} api - API segura de SyntropyFront (addBreadcrumb, sendError)
+ * @param {Object} options - Mismas opciones que ReduxInterceptor
+ * @returns {Function} Middleware de Redux
+ */
+export function syntropyMiddleware(api, options = {}) {
+    const sanitizer = createSanitizer(options);
+    const recorder = createStateRecorder(sanitizer, options);
+    const trace = createDispatchTracer(() => api, sanitizer, recorder);
+
+    return (storeApi) => (next) => (action) => trace(action, storeApi.getState, next);
+}
+
 /**
  * ReduxInterceptor - Interceptor para Redux stores
  * Intercepta acciones y cambios de estado de Redux
  * Usa la API segura de SyntropyFront
+ *
+ * @param {Object} options - Opciones de sanitización (ver utils/sanitizer.js)
+ * @param {Array<string>} [options.allowPaths] - Solo se registran estas rutas del estado
+ * @param {Array<string>} [options.denyPaths] - Rutas del estado que nunca se registran
+ * @param {Array<string|RegExp>} [options.maskKeys] - Patrones de clave enmascarados (ej. '*password*')
+ * @param {Function} [options.actionSanitizer] - (action) => action
+ * @param {Function} [options.stateSanitizer] - (state, action) => state
+ * @param {number} [options.maxDepth] - Profundidad máxima del estado registrado
+ * @param {number} [options.maxSize] - Tamaño máximo en bytes de cada snapshot
+ * @param {string} [options.stateMode] - 'snapshot' (por defecto) o 'diff' (parches JSON-Patch)
+ * @param {Object|Promise} [options.store] - Store (o promesa del store) a conectar en init()
+ * @param {Array<Function>} [options.locators] - () => store | undefined, consultados antes que los globales
+ * @param {Array<string>} [options.globalNames] - Globales a consultar (por defecto reduxStore y store)
+ * @param {boolean} [options.autoDiscover] - Buscar el store con los locators (false: solo registerStore)
+ * @param {number} [options.retryDelay] - Primer intervalo de búsqueda en ms (crece con backoffFactor)
+ * @param {number} [options.maxRetryDelay] - Intervalo máximo de búsqueda en ms
+ * @param {number} [options.backoffFactor] - Multiplicador del intervalo
+ * @param {number} [options.discoveryTimeout] - ms hasta dejar de buscar (status 'gave-up')
  */
-export default function ReduxInterceptor() {
+export default function ReduxInterceptor(options = {}) {
+    const sanitizer = createSanitizer(options);
+    const recorder = createStateRecorder(sanitizer, options);
     let originalDispatch = null;
     let store = null;
     let unsubscribe = null;
     let api = null;
+    const trace = createDispatchTracer(() => api, sanitizer, recorder);
+
+    /**
+     * Conecta el store de Redux (intercepta dispatch)
+     * @param {Object} reduxStore - Store de Redux
+     * @returns {boolean} True si el store quedó conectado
+     */
+    const attachStore = (reduxStore) => {
+        if (!reduxStore) {
+            console.warn('SyntropyFront: Store de Redux no válido');
+            return false;
+        }
+
+        // Verificar que sea un store válido
+        if (typeof reduxStore.getState !== 'function' || typeof reduxStore.subscribe !== 'function') {
+            console.warn('SyntropyFront: Store de Redux no tiene métodos requeridos (getState, subscribe)');
+            return false;
+        }
+
+        try {
+            store = reduxStore;
+
+            // Interceptar dispatch
+            originalDispatch = store.dispatch;
+            store.dispatch = (action) => trace(
+                action,
+                () => store.getState(),
+                (nextAction) => originalDispatch.call(store, nextAction)
+            );
+
+            // Suscribirse a cambios de estado
+            unsubscribe = store.subscribe(() => {
+                // Los breadcrumbs ya se agregaron en dispatch
+                // Aquí podríamos agregar lógica adicional si es necesario
+            });
+
+            console.log('SyntropyFront: Store de Redux configurado');
+            return true;
+        } catch (error) {
+            console.error('SyntropyFront: Error configurando store de Redux:', error);
+            if (originalDispatch) {
+                reduxStore.dispatch = originalDispatch;
+            }
+            store = null;
+            originalDispatch = null;
+            return false;
+        }
+    };
+
+    // Búsqueda del store: registerStore(), evento 'syntropyfront:store', locators con backoff
+    const discovery = createStoreDiscovery(attachStore, {
+        kind: 'redux',
+        isStore: (candidate) => typeof candidate.getState === 'function'
+            && typeof candidate.subscribe === 'function'
+            && typeof candidate.dispatch === 'function',
+        ...getDiscoveryOptions(options, ['reduxStore', 'store'])
+    });
+    if (options.store) {
+        discovery.register(options.store, 'options.store');
+    }
 
     return {
         name: 'redux',
@@ -19,102 +367,43 @@ export default function ReduxInterceptor() {
         init(apiInstance) {
             api = apiInstance;
             console.log('SyntropyFront: Redux interceptor inicializado (esperando store)');
-            
-            // Inicialización "perezosa" con retry
-            this.findStoreWithRetry();
-        },
 
-        /**
-         * Busca store con retry automático
-         * @param {number} retries - Número de intentos restantes
-         * @param {number} delay - Delay entre intentos en ms
-         */
-        findStoreWithRetry(retries = 5, delay = 500) {
-            const foundStore = this.findReduxStore();
-            
-            if (foundStore) {
-                this.setStore(foundStore);
-                console.log('SyntropyFront: Store de Redux encontrado y configurado automáticamente.');
-            } else if (retries > 0) {
-                console.log(`SyntropyFront: Buscando store de Redux... (${retries} intentos restantes)`);
-                setTimeout(() => this.findStoreWithRetry(retries - 1, delay), delay);
-            } else {
-                console.warn('SyntropyFront: No se encontró store de Redux después de varios intentos. Usa setStore() para configurarlo manualmente.');
-            }
+            // Inicialización "perezosa": el store puede crearse después
+            discovery.start();
         },
 
         /**
          * Configura el store de Redux
          * @param {Object} reduxStore - Store de Redux
+         * @returns {boolean} True si el store quedó conectado
          */
         setStore(reduxStore) {
             if (!api) {
                 console.warn('SyntropyFront: Redux interceptor no inicializado');
-                return;
-            }
-
-            if (!reduxStore) {
-                console.warn('SyntropyFront: Store de Redux no válido');
-                return;
-            }
-
-            // Verificar que sea un store válido
-            if (typeof reduxStore.getState !== 'function' || typeof reduxStore.subscribe !== 'function') {
-                console.warn('SyntropyFront: Store de Redux no tiene métodos requeridos (getState, subscribe)');
-                return;
+                return false;
             }
+            return discovery.register(reduxStore, 'setStore');
+        },
 
-            try {
-                store = reduxStore;
-
-                // Interceptar dispatch
-                originalDispatch = store.dispatch;
-                store.dispatch = (action) => {
-                    try {
-                        // Agregar breadcrumb antes del dispatch
-                        api.addBreadcrumb('redux', `Redux Action: ${action.type}`, {
-                            action: action,
-                            state: store.getState()
-                        });
-
-                        // Ejecutar dispatch original
-                        const result = originalDispatch.call(store, action);
-
-                        // Agregar breadcrumb después del dispatch
-                        api.addBreadcrumb('redux', `Redux State Updated`, {
-                            actionType: action.type,
-                            newState: store.getState()
-                        });
-
-                        return result;
-                    } catch (error) {
-                        // Si hay error en el dispatch, enviarlo
-                        api.sendError({
-                            type: 'redux_dispatch_error',
-                            error: {
-                                message: error.message,
-                                stack: error.stack
-                            },
-                            action: action
-                        });
-                        throw error;
-                    }
-                };
-
-                // Suscribirse a cambios de estado
-                unsubscribe = store.subscribe(() => {
-                    // Los breadcrumbs ya se agregaron en dispatch
-                    // Aquí podríamos agregar lógica adicional si es necesario
-                });
+        /**
+         * Entrega el store cuando la app lo crea (puede llamarse antes de init)
+         * @param {Object|Promise} reduxStore - Store de Redux o promesa que resuelve al store
+         * @returns {boolean} True si el store quedó conectado ahora
+         */
+        registerStore(reduxStore) {
+            return discovery.register(reduxStore);
+        },
 
-                console.log('SyntropyFront: Store de Redux configurado');
-            } catch (error) {
-                console.error('SyntropyFront: Error configurando store de Redux:', error);
-            }
+        /**
+         * Espera a que haya un store conectado
+         * @returns {Promise<Object|null>} Store, o null si la búsqueda se agotó o se destruyó el interceptor
+         */
+        whenStoreAttached() {
+            return discovery.whenAttached();
         },
 
         /**
-         * Busca automáticamente el store (método de conveniencia)
+         * Busca automáticamente el store una vez, sin esperar
          * @returns {boolean} True si encontró y configuró un store
          */
         autoFindStore() {
@@ -123,27 +412,7 @@ export default function ReduxInterceptor() {
                 return false;
             }
 
-            let foundStore = null;
-
-            // Buscar en ubicaciones comunes
-            if (window.reduxStore) {
-                foundStore = window.reduxStore;
-            } else if (window.store) {
-                foundStore = window.store;
-            } else if (window.__REDUX_DEVTOOLS_EXTENSION__ && window.__REDUX_DEVTOOLS_EXTENSION__.connect) {
-                // Intentar obtener desde Redux DevTools
-                try {
-                    const devTools = window.__REDUX_DEVTOOLS_EXTENSION__.connect();
-                    if (devTools && devTools.getState) {
-                        foundStore = devTools;
-                    }
-                } catch (error) {
-                    console.warn('SyntropyFront: Error conectando con Redux DevTools:', error);
-                }
-            }
-
-            if (foundStore) {
-                this.setStore(foundStore);
+            if (store || discovery.locate()) {
                 return true;
             }
 
@@ -161,7 +430,9 @@ export default function ReduxInterceptor() {
                 isInitialized: !!api,
                 hasStore: !!store,
                 storeType: store ? 'configured' : 'none',
-                methods: ['setStore', 'autoFindStore', 'getInfo']
+                discovery: discovery.getStatus(),
+                stateMode: recorder.mode,
+                methods: ['setStore', 'registerStore', 'whenStoreAttached', 'autoFindStore', 'getInfo']
             };
         },
 
@@ -170,6 +441,8 @@ export default function ReduxInterceptor() {
          */
         destroy() {
             try {
+                discovery.stop();
+
                 // Restaurar dispatch original
                 if (store && originalDispatch) {
                     store.dispatch = originalDispatch;
@@ -181,6 +454,7 @@ export default function ReduxInterceptor() {
                 }
 
                 // Limpiar referencias
+                recorder.reset();
                 store = null;
                 originalDispatch = null;
                 unsubscribe = null;
@@ -192,4 +466,4 @@ export default function ReduxInterceptor() {
             }
         }
     };
-} 
\ No newline at end of file
+}
@@ -0,0 +1,207 @@
+import { createErrorGate } from './utils/errorGate.js';
+import { framesFromLocation } from './utils/stackParser.js';
+
+// Valores de blockedURI que no son URLs
+const BLOCKED_KEYWORDS = ['inline', 'eval', 'wasm-eval', 'trusted-types-policy', 'trusted-types-sink', 'data', 'blob', 'self'];
+
+/**
+ * URL sin query ni hash (pueden traer tokens); las palabras clave de CSP se mantienen
+ * @param {string} uri - URI reportada
+ * @returns {string|null} URI normalizada
+ */
+function normalizeUri(uri) {
+    if (!uri) return null;
+    const value = String(uri);
+    if (BLOCKED_KEYWORDS.includes(value)) return value;
+    return value.split(/[?#]/)[0];
+}
+
+/**
+ * ReportingInterceptor - Violaciones de Content Security Policy y reportes del navegador
+ * Escucha `securitypolicyviolation` y usa ReportingObserver para deprecations e interventions
+ * Cada violación o reporte repetido se agrupa (ver utils/errorGate.js) para no inundar el backend
+ * Usa la API segura de SyntropyFront
+ *
+ * @param {Object} options - Opciones
+ * @param {boolean} [options.captureCSP] - Escuchar securitypolicyviolation
+ * @param {Array<string>} [options.reportTypes] - Tipos de ReportingObserver ('deprecation', 'intervention')
+ * @param {boolean} [options.includeReportOnly] - Incluir violaciones de políticas Content-Security-Policy-Report-Only
+ * @param {Array<string|RegExp>} [options.ignoreBlockedUris] - URIs bloqueadas a ignorar (p. ej. extensiones)
+ * @param {number} [options.dedupeWindow] - Ventana de agrupación en ms
+ * @param {Object|false} [options.rateLimit] - Buckets de la compuerta (false desactiva)
+ */
+export default function ReportingInterceptor(options = {}) {
+    const config = {
+        captureCSP: true,
+        reportTypes: ['deprecation', 'intervention'],
+        includeReportOnly: true,
+        ignoreBlockedUris: [/^(chrome|moz|safari(-web)?)-extension:/],
+        dedupeWindow: 60000,
+        rateLimit: { fingerprintBurst: 1, fingerprintPerMinute: 2, globalBurst: 20, globalPerMinute: 30 },
+        ...options
+    };
+    let gate = null;
+    let observer = null;
+    let violationHandler = null;
+    let api = null;
+
+    const isIgnored = (uri) => !!uri && config.ignoreBlockedUris.some((pattern) =>
+        pattern instanceof RegExp ? pattern.test(uri) : uri.includes(pattern)
+    );
+
+    /**
+     * Clave de agrupación: mismo tipo, directiva/id, recurso y ubicación
+     */
+    const getKey = (payload) => {
+        const details = payload.csp || payload.report || {};
+        const error = payload.error || {};
+        return [
+            payload.type,
+            details.directive || details.id,
+            details.blockedURI,
+            error.source,
+            error.lineno
+        ].join('|');
+    };
+
+    const onViolation = (event) => {
+        if (!api) return;
+        if (!config.includeReportOnly && event.disposition === 'report') return;
+        if (isIgnored(event.blockedURI) || isIgnored(event.sourceFile)) return;
+
+        const directive = event.effectiveDirective || event.violatedDirective;
+        const blockedURI = normalizeUri(event.blockedURI);
+        const source = normalizeUri(event.sourceFile);
+
+        gate.process({
+            type: 'csp_violation',
+            error: {
+                message: `CSP violation: ${directive} blocked ${blockedURI || 'unknown'}`,
+                source,
+                lineno: event.lineNumber || undefined,
+                colno: event.columnNumber || undefined,
+                frames: framesFromLocation(source, event.lineNumber, event.columnNumber)
+            },
+            csp: {
+                directive,
+                violatedDirective: event.violatedDirective,
+                blockedURI,
+                disposition: event.disposition,
+                sample: event.sample || undefined,
+                documentURI: normalizeUri(event.documentURI),
+                statusCode: event.statusCode
+            },
+            timestamp: new Date().toISOString()
+        });
+    };
+
+    const onReports = (reports) => {
+        if (!api) return;
+        reports.forEach((report) => {
+            const body = report.body || {};
+            const source = normalizeUri(body.sourceFile);
+            gate.process({
+                type: `browser_${report.type}`,
+                error: {
+                    message: body.message || `Browser ${report.type}`,
+                    source,
+                    lineno: body.lineNumber || undefined,
+                    colno: body.columnNumber || undefined,
+                    frames: framesFromLocation(source, body.lineNumber, body.columnNumber)
+                },
+                report: {
+                    type: report.type,
+                    id: body.id,
+                    anticipatedRemoval: body.anticipatedRemoval || undefined,
+                    url: normalizeUri(report.url)
+                },
+                timestamp: new Date().toISOString()
+            });
+        });
+    };
+
+    return {
+        name: 'reporting',
+
+        /**
+         * Inicializa el interceptor
+         * @param {Object} apiInstance - API segura de SyntropyFront
+         */
+        init(apiInstance) {
+            if (typeof window === 'undefined') {
+                console.warn('SyntropyFront: Reporting interceptor requiere un navegador, no se inicializa');
+                return;
+            }
+            if (api) return;
+
+            api = apiInstance;
+            gate = createErrorGate((payload) => api && api.sendError(payload), {
+                dedupeWindow: config.dedupeWindow,
+                rateLimit: config.rateLimit,
+                fingerprint: getKey
+            });
+
+            if (config.captureCSP && typeof document !== 'undefined') {
+                violationHandler = onViolation;
+                document.addEventListener('securitypolicyviolation', violationHandler, { capture: true });
+            }
+
+            if (config.reportTypes.length && typeof ReportingObserver !== 'undefined') {
+                try {
+                    observer = new ReportingObserver((reports) => onReports(reports), {
+                        types: config.reportTypes,
+                        buffered: true
+                    });
+                    observer.observe();
+                } catch (error) {
+                    observer = null;
+                }
+            }
+
+            console.log('SyntropyFront: Reporting interceptor inicializado');
+        },
+
+        /**
+         * Obtiene información del interceptor
+         * @returns {Object} Información del interceptor
+         */
+        getInfo() {
+            return {
+                name: 'reporting',
+                isInitialized: !!api,
+                capturesCSP: !!violationHandler,
+                observesReports: !!observer,
+                stats: gate ? gate.getStats() : null,
+                methods: ['getInfo']
+            };
+        },
+
+        /**
+         * Destruye el interceptor y envía los resúmenes pendientes
+         */
+        destroy() {
+            try {
+                if (violationHandler) {
+                    document.removeEventListener('securitypolicyviolation', violationHandler, { capture: true });
+                }
+                if (observer) {
+                    // Procesar los reportes en cola antes de desconectar
+                    onReports(observer.takeRecords());
+                    observer.disconnect();
+                }
+                if (gate) {
+                    gate.flush();
+                }
+
+                violationHandler = null;
+                observer = null;
+                gate = null;
+                api = null;
+
+                console.log('SyntropyFront: Reporting interceptor destruido');
+            } catch (error) {
+                console.error('SyntropyFront: Error destruyendo Reporting interceptor:', error);
+            }
+        }
+    };
+}
@@ -0,0 +1,384 @@
+import { createKeyMatcher, DEFAULT_MASK_KEYS } from './utils/sanitizer.js';
+
+// Atributos estables preferidos para describir un elemento (tests, analytics)
+const DEFAULT_DATA_ATTRIBUTES = ['data-testid', 'data-test', 'data-cy', 'data-track', 'data-qa'];
+
+// Elementos con los que el usuario interactúa (un click en un <span> dentro de un <button> es del botón)
+const INTERACTIVE_SELECTOR = 'a, button, input, select, textarea, label, summary, [role="button"], [role="link"], [role="tab"], [role="menuitem"], [onclick]';
+
+// Elementos cuyo texto visible se registra en los clicks (etiquetas de acciones, no contenido del usuario)
+const TEXT_SELECTOR = 'a, button, [role="button"]';
+
+// Elementos editables: sus clicks no se registran (el valor llega por input, enmascarado)
+const EDITABLE_SELECTOR = 'textarea, select, [contenteditable]:not([contenteditable="false"])';
+
+// Inputs cuyo valor nunca se registra
+const SENSITIVE_INPUT_TYPES = ['password', 'hidden'];
+
+const MAX_SELECTOR_DEPTH = 3;
+
+/**
+ * Indica si un id o clase parece generado (hashes de CSS-in-JS, ids con números largos)
+ * @param {string} value - id o clase
+ * @returns {boolean} True si no es estable
+ */
+function isDynamicToken(value) {
+    if (/^(css|sc|jsx|emotion|svelte)-/i.test(value)) return true;
+    return /\d{3,}/.test(value) || (/\d/.test(value) && /^[a-z0-9]{6,}$/i.test(value));
+}
+
+/**
+ * Escapa comillas para un selector de atributo
+ */
+const escapeAttribute = (value) => String(value).replace(/["\\]/g, '\\$&');
+
+/**
+ * Describe un único elemento: tag[data-testid="x"], tag#id, tag[name="x"] o tag.clase
+ * @param {Element} element - Elemento
+ * @param {Array<string>} dataAttributes - Atributos data-* preferidos
+ * @returns {{ part: string, stable: boolean }} Fragmento del selector y si identifica al elemento
+ */
+function describeNode(element, dataAttributes) {
+    const tag = String(element.tagName || '').toLowerCase();
+
+    for (const attribute of dataAttributes) {
+        const value = element.getAttribute && element.getAttribute(attribute);
+        if (value) return { part: `${tag}[${attribute}="${escapeAttribute(value)}"]`, stable: true };
+    }
+
+    if (element.id && !isDynamicToken(element.id)) {
+        return { part: `${tag}#${element.id}`, stable: true };
+    }
+
+    const name = element.getAttribute && element.getAttribute('name');
+    if (name && ['input', 'select', 'textarea', 'form', 'button'].includes(tag)) {
+        return { part: `${tag}[name="${escapeAttribute(name)}"]`, stable: false };
+    }
+
+    const classes = typeof element.className === 'string'
+        ? element.className.split(/\s+/).filter((token) => token && !isDynamicToken(token)).slice(0, 2)
+        : [];
+    return { part: tag + classes.map((token) => `.${token}`).join(''), stable: false };
+}
+
+/**
+ * Construye un selector CSS estable para un elemento (máximo 3 niveles)
+ * @param {Element} element - Elemento
+ * @param {Array<string>} dataAttributes - Atributos data-* preferidos
+ * @returns {string} Selector (p. ej. 'form#login > button.primary')
+ */
+function describeElement(element, dataAttributes) {
+    const parts = [];
+    let current = element;
+
+    while (current && current.nodeType === 1 && parts.length < MAX_SELECTOR_DEPTH) {
+        const { part, stable } = describeNode(current, dataAttributes);
+        parts.unshift(part);
+        if (stable || current.tagName === 'BODY') break;
+        current = current.parentElement;
+    }
+
+    return parts.join(' > ');
+}
+
+/**
+ * Ruta de la URL actual sin query (puede traer tokens); el hash solo si es una ruta ('#/...')
+ * @param {string} href - URL
+ * @returns {string} Ruta
+ */
+function toRoute(href) {
+    try {
+        const url = new URL(href, location.href);
+        return url.pathname + (/^#[/!]/.test(url.hash) ? url.hash : '');
+    } catch (error) {
+        return String(href).split(/[?#]/)[0];
+    }
+}
+
+/**
+ * UIInterceptor - Registra interacciones del usuario como breadcrumbs
+ * Clicks, envíos de formularios, inputs (valores enmascarados por defecto),
+ * navegación con History API / hashchange y cambios de visibilidad de la página
+ * Usa la API segura de SyntropyFront
+ *
+ * @param {Object} options - Opciones
+ * @param {boolean} [options.captureClicks] - Registrar clicks
+ * @param {boolean} [options.captureSubmits] - Registrar envíos de formularios
+ * @param {boolean} [options.captureInputs] - Registrar cambios en inputs
+ * @param {boolean} [options.captureNavigation] - Registrar pushState / replaceState / popstate / hashchange
+ * @param {boolean} [options.captureVisibility] - Registrar visibilitychange
+ * @param {boolean} [options.maskInputValues] - No registrar el valor de los inputs (solo su longitud)
+ * @param {Array<string|RegExp>} [options.maskKeys] - Nombres de campo enmascarados aunque maskInputValues sea false
+ * @param {Array<string>} [options.dataAttributes] - Atributos data-* preferidos para describir elementos
+ * @param {number} [options.inputDebounce] - ms sin escribir antes de registrar un input
+ * @param {number} [options.throttle] - ms mínimos entre breadcrumbs del mismo tipo y elemento
+ * @param {number} [options.maxPerSecond] - Máximo de breadcrumbs de UI por segundo
+ * @param {number} [options.maxTextLength] - Longitud máxima del texto de botones y links
+ */
+export default function UIInterceptor(options = {}) {
+    const config = {
+        captureClicks: true,
+        captureSubmits: true,
+        captureInputs: true,
+        captureNavigation: true,
+        captureVisibility: true,
+        maskInputValues: true,
+        maskKeys: [...DEFAULT_MASK_KEYS, '*card*', '*cvv*', '*ssn*', '*email*', '*phone*'],
+        dataAttributes: DEFAULT_DATA_ATTRIBUTES,
+        inputDebounce: 1000,
+        throttle: 500,
+        maxPerSecond: 20,
+        maxTextLength: 50,
+        ...options
+    };
+    const isMaskedField = createKeyMatcher(config.maskKeys);
+    const listeners = [];
+    // elemento -> timer del debounce de input
+    const inputTimers = new Map();
+    // tipo + selector -> último registro
+    const lastRecorded = new Map();
+    let windowStart = 0;
+    let windowCount = 0;
+    let currentRoute = null;
+    let originalPushState = null;
+    let originalReplaceState = null;
+    let wrappedPushState = null;
+    let wrappedReplaceState = null;
+    let api = null;
+
+    /**
+     * Throttling por tipo + elemento y límite global por segundo
+     */
+    const shouldRecord = (key) => {
+        const current = Date.now();
+
+        if (key) {
+            const last = lastRecorded.get(key);
+            if (last !== undefined && current - last < config.throttle) return false;
+            lastRecorded.set(key, current);
+            // Evitar que el mapa crezca sin límite en SPAs largas
+            if (lastRecorded.size > 200) {
+                lastRecorded.delete(lastRecorded.keys().next().value);
+            }
+        }
+
+        if (current - windowStart >= 1000) {
+            windowStart = current;
+            windowCount = 0;
+        }
+        windowCount++;
+        return windowCount <= config.maxPerSecond;
+    };
+
+    const record = (category, message, data, throttleKey) => {
+        if (!api || !shouldRecord(throttleKey)) return;
+        api.addBreadcrumb(category, message, data);
+    };
+
+    const getText = (element) => {
+        const text = String(element.innerText || element.textContent || '').replace(/\s+/g, ' ').trim();
+        if (!text) return undefined;
+        return text.length > config.maxTextLength ? `${text.slice(0, config.maxTextLength)}…` : text;
+    };
+
+    const addListener = (target, type, handler) => {
+        const listenerOptions = { capture: true, passive: true };
+        target.addEventListener(type, handler, listenerOptions);
+        listeners.push({ target, type, handler, options: listenerOptions });
+    };
+
+    const onClick = (event) => {
+        const target = event.target;
+        if (!target || target.nodeType !== 1) return;
+        if (!target.closest) return;
+        // Los campos editables se registran por su valor (enmascarado), no por el click
+        if (target.isContentEditable || target.closest(EDITABLE_SELECTOR)) return;
+        // Solo clicks en elementos interactivos: un click en un <div> de contenido no se registra
+        const element = target.closest(INTERACTIVE_SELECTOR);
+        if (!element) return;
+        const tagName = String(element.tagName).toLowerCase();
+        if (tagName === 'input' && !['button', 'submit', 'reset', 'checkbox', 'radio'].includes(element.type)) return;
+
+        const selector = describeElement(element, config.dataAttributes);
+        const data = { selector, tagName };
+        // Solo el texto de botones y links: el de otros elementos puede ser contenido del usuario
+        if (element.matches(TEXT_SELECTOR)) data.text = getText(element);
+        if (tagName === 'a' && element.href) data.href = toRoute(element.href);
+        record('ui', `UI Click: ${selector}`, data, `click:${selector}`);
+    };
+
+    const onSubmit = (event) => {
+        const form = event.target;
+        if (!form || form.nodeType !== 1) return;
+        const selector = describeElement(form, config.dataAttributes);
+        record('ui', `UI Submit: ${selector}`, {
+            selector,
+            method: String(form.method || 'get').toLowerCase(),
+            action: form.action ? toRoute(form.action) : undefined
+        }, `submit:${selector}`);
+    };
+
+    const recordInput = (element) => {
+        const selector = describeElement(element, config.dataAttributes);
+        const type = element.type || String(element.tagName).toLowerCase();
+        const data = { selector, type };
+
+        if (type === 'checkbox' || type === 'radio') {
+            data.checked = !!element.checked;
+        } else {
+            const value = String(element.value ?? '');
+            const masked = config.maskInputValues
+                || SENSITIVE_INPUT_TYPES.includes(type)
+                || isMaskedField(element.name || '')
+                || isMaskedField(element.id || '')
+                || /^cc-|password|one-time-code/.test(element.autocomplete || '');
+            data.length = value.length;
+            if (masked) {
+                data.masked = true;
+            } else {
+                data.value = value;
+            }
+        }
+
+        record('ui', `UI Input: ${selector}`, data, null);
+    };
+
+    const onInput = (event) => {
+        const element = event.target;
+        if (!element || element.nodeType !== 1) return;
+        const tagName = String(element.tagName).toLowerCase();
+        if (!['input', 'textarea', 'select'].includes(tagName) && !element.isContentEditable) return;
+
+        // select, checkbox y radio: el cambio es un único evento
+        if (event.type === 'change') {
+            if (tagName === 'select' || element.type === 'checkbox' || element.type === 'radio') {
+                recordInput(element);
+            }
+            return;
+        }
+        if (tagName === 'select' || element.type === 'checkbox' || element.type === 'radio') return;
+
+        clearTimeout(inputTimers.get(element));
+        inputTimers.set(element, setTimeout(() => {
+            inputTimers.delete(element);
+            recordInput(element);
+        }, config.inputDebounce));
+    };
+
+    const onNavigation = (trigger) => {
+        const route = toRoute(location.href);
+        if (route === currentRoute) return;
+        const from = currentRoute;
+        currentRoute = route;
+        record('navigation', `Navigation: ${from} -> ${route}`, { from, to: route, trigger }, null);
+    };
+
+    const wrapHistory = (method) => {
+        const original = history[method];
+        const wrapper = function (...args) {
+            const result = original.apply(this, args);
+            try {
+                onNavigation(method);
+            } catch (error) {
+                // Nunca romper la navegación de la app
+            }
+            return result;
+        };
+        history[method] = wrapper;
+        return { original, wrapper };
+    };
+
+    return {
+        name: 'ui',
+
+        /**
+         * Inicializa el interceptor
+         * @param {Object} apiInstance - API segura de SyntropyFront
+         */
+        init(apiInstance) {
+            if (typeof window === 'undefined' || typeof document === 'undefined') {
+                console.warn('SyntropyFront: UI interceptor requiere un navegador, no se inicializa');
+                return;
+            }
+            if (api) return;
+
+            api = apiInstance;
+            currentRoute = toRoute(location.href);
+
+            if (config.captureClicks) addListener(document, 'click', onClick);
+            if (config.captureSubmits) addListener(document, 'submit', onSubmit);
+            if (config.captureInputs) {
+                addListener(document, 'input', onInput);
+                addListener(document, 'change', onInput);
+            }
+
+            if (config.captureNavigation) {
+                if (typeof history !== 'undefined') {
+                    ({ original: originalPushState, wrapper: wrappedPushState } = wrapHistory('pushState'));
+                    ({ original: originalReplaceState, wrapper: wrappedReplaceState } = wrapHistory('replaceState'));
+                }
+                addListener(window, 'popstate', () => onNavigation('popstate'));
+                addListener(window, 'hashchange', () => onNavigation('hashchange'));
+            }
+
+            if (config.captureVisibility) {
+                addListener(document, 'visibilitychange', () => {
+                    record('ui', `UI Page ${document.visibilityState}`, {
+                        visibilityState: document.visibilityState
+                    }, null);
+                });
+            }
+
+            console.log('SyntropyFront: UI interceptor inicializado');
+        },
+
+        /**
+         * Obtiene información del interceptor
+         * @returns {Object} Información del interceptor
+         */
+        getInfo() {
+            return {
+                name: 'ui',
+                isInitialized: !!api,
+                listeners: listeners.map(({ type }) => type),
+                capturesNavigation: !!wrappedPushState,
+                maskInputValues: config.maskInputValues,
+                methods: ['getInfo']
+            };
+        },
+
+        /**
+         * Destruye el interceptor, quita los listeners y restaura la History API
+         */
+        destroy() {
+            try {
+                listeners.forEach(({ target, type, handler, options: listenerOptions }) => {
+                    target.removeEventListener(type, handler, listenerOptions);
+                });
+                listeners.length = 0;
+
+                inputTimers.forEach((timer) => clearTimeout(timer));
+                inputTimers.clear();
+                lastRecorded.clear();
+
+                // Solo restaurar si nadie reemplazó los métodos después
+                if (wrappedPushState && history.pushState === wrappedPushState) {
+                    history.pushState = originalPushState;
+                }
+                if (wrappedReplaceState && history.replaceState === wrappedReplaceState) {
+                    history.replaceState = originalReplaceState;
+                }
+                originalPushState = null;
+                originalReplaceState = null;
+                wrappedPushState = null;
+                wrappedReplaceState = null;
+                currentRoute = null;
+                api = null;
+
+                console.log('SyntropyFront: UI interceptor destruido');
+            } catch (error) {
+                console.error('SyntropyFront: Error destruyendo UI interceptor:', error);
+            }
+        }
+    };
+}
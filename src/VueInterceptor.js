@@ -0,0 +1,280 @@
+import { createSanitizer } from './utils/sanitizer.js';
+import { now } from './utils/time.js';
+import { parseStack } from './utils/stackParser.js';
+
+// NavigationFailureType de vue-router (mismos valores en v3 y v4)
+const NAVIGATION_FAILURE_TYPES = {
+    2: 'redirected',
+    4: 'aborted',
+    8: 'cancelled',
+    16: 'duplicated'
+};
+
+/**
+ * Obtiene el nombre de un componente a partir de su instancia pública
+ * @param {Object} instance - Instancia del componente (Vue 2 o Vue 3)
+ * @returns {string|null} Nombre del componente
+ */
+function getComponentName(instance) {
+    if (!instance) return null;
+    if (instance.$root === instance) return 'Root';
+    const options = instance.$options || {};
+    const name = options.name || options.__name || options._componentTag;
+    if (name) return name;
+    if (options.__file) {
+        const match = options.__file.match(/([^/\\]+)\.vue$/);
+        if (match) return match[1];
+    }
+    return 'AnonymousComponent';
+}
+
+/**
+ * VueInterceptor - Interceptor para aplicaciones Vue y vue-router
+ * Encadena app.config.errorHandler / warnHandler y registra navegaciones
+ * Usa la API segura de SyntropyFront
+ *
+ * @param {Object} options - Opciones
+ * @param {boolean} [options.captureWarnings] - Registrar warnings de Vue como breadcrumbs (solo dev)
+ * @param {boolean} [options.captureProps] - Incluir un resumen sanitizado de las props del componente
+ * @param {boolean} [options.reportNavigationFailures] - Enviar navegaciones abortadas por guards como error
+ * @param {Array<string|RegExp>} [options.maskKeys] - Patrones de clave enmascarados en las props
+ */
+export default function VueInterceptor(options = {}) {
+    const config = {
+        captureWarnings: true,
+        captureProps: true,
+        reportNavigationFailures: true,
+        ...options
+    };
+    // Resumen de props: poco profundo y pequeño
+    const propsSanitizer = createSanitizer({ maxDepth: 2, maxSize: 2048, ...options });
+    let app = null;
+    let router = null;
+    let originalErrorHandler = null;
+    let originalWarnHandler = null;
+    let errorHandler = null;
+    let warnHandler = null;
+    let routerHooks = [];
+    let navigationStart = null;
+    let api = null;
+
+    const summarizeProps = (instance) => {
+        if (!config.captureProps || !instance || !instance.$props) return undefined;
+        return propsSanitizer.sanitizeState(instance.$props);
+    };
+
+    return {
+        name: 'vue',
+
+        /**
+         * Inicializa el interceptor
+         * @param {Object} apiInstance - API segura de SyntropyFront
+         */
+        init(apiInstance) {
+            api = apiInstance;
+            console.log('SyntropyFront: Vue interceptor inicializado (esperando app)');
+        },
+
+        /**
+         * Configura la aplicación de Vue
+         * @param {Object} vueApp - App de Vue 3 (createApp) o constructor Vue de Vue 2
+         */
+        setApp(vueApp) {
+            if (!api) {
+                console.warn('SyntropyFront: Vue interceptor no inicializado');
+                return;
+            }
+
+            if (!vueApp || !vueApp.config) {
+                console.warn('SyntropyFront: App de Vue no válida (falta config)');
+                return;
+            }
+
+            try {
+                app = vueApp;
+
+                // Encadenar errorHandler
+                originalErrorHandler = app.config.errorHandler || null;
+                errorHandler = (error, instance, info) => {
+                    if (api) {
+                        api.sendError({
+                            type: 'vue_error',
+                            error: {
+                                name: error?.name,
+                                message: error?.message ?? String(error),
+                                stack: error?.stack,
+                                frames: parseStack(error?.stack)
+                            },
+                            component: getComponentName(instance),
+                            info,
+                            props: summarizeProps(instance)
+                        });
+                    }
+
+                    if (originalErrorHandler) {
+                        return originalErrorHandler(error, instance, info);
+                    }
+                    // Sin handler propio Vue hubiera mostrado el error en consola
+                    console.error(error);
+                };
+                app.config.errorHandler = errorHandler;
+
+                // Encadenar warnHandler (Vue solo lo invoca en builds de desarrollo)
+                if (config.captureWarnings) {
+                    originalWarnHandler = app.config.warnHandler || null;
+                    warnHandler = (message, instance, trace) => {
+                        if (api) {
+                            api.addBreadcrumb('vue', `Vue Warning: ${message}`, {
+                                component: getComponentName(instance),
+                                trace
+                            });
+                        }
+
+                        if (originalWarnHandler) {
+                            return originalWarnHandler(message, instance, trace);
+                        }
+                        console.warn(`[Vue warn]: ${message}${trace || ''}`);
+                    };
+                    app.config.warnHandler = warnHandler;
+                }
+
+                console.log('SyntropyFront: App de Vue configurada');
+            } catch (error) {
+                console.error('SyntropyFront: Error configurando app de Vue:', error);
+            }
+        },
+
+        /**
+         * Configura vue-router para registrar navegaciones
+         * @param {Object} vueRouter - Instancia de vue-router (v3.5+ o v4)
+         */
+        setRouter(vueRouter) {
+            if (!api) {
+                console.warn('SyntropyFront: Vue interceptor no inicializado');
+                return;
+            }
+
+            if (!vueRouter || typeof vueRouter.afterEach !== 'function') {
+                console.warn('SyntropyFront: Router no válido (falta afterEach)');
+                return;
+            }
+
+            try {
+                router = vueRouter;
+
+                // Guard con 3 argumentos: tanto vue-router 3 como 4 esperan que se llame a next()
+                routerHooks.push(router.beforeEach((to, from, next) => {
+                    navigationStart = now();
+                    next();
+                }));
+
+                routerHooks.push(router.afterEach((to, from, failure) => {
+                    if (!api) return;
+                    const duration = navigationStart === null ? null : Math.round(now() - navigationStart);
+                    navigationStart = null;
+
+                    if (!failure) {
+                        api.addBreadcrumb('navigation', `Vue Router: ${from.path} -> ${to.path}`, {
+                            from: from.path,
+                            to: to.path,
+                            routeName: to.name,
+                            duration
+                        });
+                        return;
+                    }
+
+                    const failureType = NAVIGATION_FAILURE_TYPES[failure.type] || 'unknown';
+                    api.addBreadcrumb('navigation', `Vue Router: navigation ${failureType} (${to.path})`, {
+                        from: from.path,
+                        to: to.path,
+                        routeName: to.name,
+                        failureType,
+                        duration
+                    });
+
+                    // duplicated/cancelled son habituales y no indican un problema
+                    if (config.reportNavigationFailures && failureType === 'aborted') {
+                        api.sendError({
+                            type: 'vue_navigation_failure',
+                            error: {
+                                message: failure.message || `Navigation aborted: ${from.path} -> ${to.path}`
+                            },
+                            failureType,
+                            from: from.path,
+                            to: to.path
+                        });
+                    }
+                }));
+
+                // Errores lanzados en guards o al resolver componentes asíncronos
+                if (typeof router.onError === 'function') {
+                    routerHooks.push(router.onError((error, to, from) => {
+                        if (!api) return;
+                        api.sendError({
+                            type: 'vue_router_error',
+                            error: {
+                                name: error?.name,
+                                message: error?.message ?? String(error),
+                                stack: error?.stack,
+                                frames: parseStack(error?.stack)
+                            },
+                            from: from?.path,
+                            to: to?.path
+                        });
+                    }));
+                }
+
+                console.log('SyntropyFront: Router de Vue configurado');
+            } catch (error) {
+                console.error('SyntropyFront: Error configurando router de Vue:', error);
+            }
+        },
+
+        /**
+         * Obtiene información del interceptor
+         * @returns {Object} Información del interceptor
+         */
+        getInfo() {
+            return {
+                name: 'vue',
+                isInitialized: !!api,
+                hasApp: !!app,
+                hasRouter: !!router,
+                methods: ['setApp', 'setRouter', 'getInfo']
+            };
+        },
+
+        /**
+         * Destruye el interceptor
+         */
+        destroy() {
+            try {
+                // Restaurar handlers solo si siguen siendo los nuestros
+                if (app && app.config.errorHandler === errorHandler) {
+                    app.config.errorHandler = originalErrorHandler || undefined;
+                }
+                if (app && warnHandler && app.config.warnHandler === warnHandler) {
+                    app.config.warnHandler = originalWarnHandler || undefined;
+                }
+
+                // Quitar hooks del router (vue-router 3.5+ y 4 devuelven la función de borrado)
+                routerHooks.forEach((remove) => typeof remove === 'function' && remove());
+
+                // Limpiar referencias
+                app = null;
+                router = null;
+                originalErrorHandler = null;
+                originalWarnHandler = null;
+                errorHandler = null;
+                warnHandler = null;
+                routerHooks = [];
+                navigationStart = null;
+                api = null;
+
+                console.log('SyntropyFront: Vue interceptor destruido');
+            } catch (error) {
+                console.error('SyntropyFront: Error destruyendo Vue interceptor:', error);
+            }
+        }
+    };
+}
@@ -1,14 +1,304 @@
+import { createSanitizer } from './utils/sanitizer.js';
+import { createStateRecorder } from './utils/stateRecorder.js';
+import { now } from './utils/time.js';
+import { parseStack } from './utils/stackParser.js';
+import { createStoreDiscovery, getDiscoveryOptions } from './utils/storeDiscovery.js';
+import { recordStoreActivity } from './utils/storeActivity.js';
+
+/**
+ * Obtiene el namespace del módulo a partir del type ('cart/items/add' -> 'cart/items')
+ * @param {string} type - Type de la mutación o acción
+ * @returns {string|null} Namespace o null si es del módulo raíz
+ */
+function getModuleNamespace(type) {
+    const index = String(type).lastIndexOf('/');
+    return index > 0 ? String(type).slice(0, index) : null;
+}
+
+/**
+ * Locator del store instalado en la app de Vue montada
+ * Vue 3 marca el elemento raíz con data-v-app (app.config.globalProperties.$store);
+ * en Vue 2 la instancia raíz queda en el elemento como __vue__
+ * @returns {Object|undefined} Store de Vuex
+ */
+function vueAppStoreLocator() {
+    if (typeof document === 'undefined' || typeof document.querySelector !== 'function') return undefined;
+    const vue3Root = document.querySelector('[data-v-app]');
+    const vue3Store = vue3Root?.__vue_app__?.config?.globalProperties?.$store;
+    if (vue3Store) return vue3Store;
+    return document.querySelector('#app')?.__vue__?.$store;
+}
+vueAppStoreLocator.displayName = 'vueApp.$store';
+
+/**
+ * Traza las acciones (dispatch) del store con store.subscribeAction
+ * before/after requieren Vuex 3.1+, el hook error requiere Vuex 3.4+
+ * @param {Object} store - Store de Vuex
+ * @param {Function} getApi - Devuelve la API segura de SyntropyFront
+ * @param {Object} sanitizer - Sanitizer creado con createSanitizer()
+ * @returns {Function|null} Función para desuscribirse, o null si el store no soporta acciones
+ */
+function subscribeActions(store, getApi, sanitizer) {
+    if (typeof store.subscribeAction !== 'function') return null;
+
+    // Vuex pasa el mismo objeto action a before/after/error
+    const startTimes = new WeakMap();
+    const duration = (action) => (startTimes.has(action) ? Math.round(now() - startTimes.get(action)) : null);
+
+    return store.subscribeAction({
+        before: (action) => {
+            const api = getApi();
+            if (!api) return;
+            startTimes.set(action, now());
+            recordStoreActivity('vuex', action.type);
+            api.addBreadcrumb('vuex', `Vuex Action: ${action.type}`, {
+                action: sanitizer.sanitizeAction(action),
+                module: getModuleNamespace(action.type),
+                status: 'started'
+            });
+        },
+        after: (action) => {
+            const api = getApi();
+            if (!api) return;
+            api.addBreadcrumb('vuex', `Vuex Action Completed: ${action.type}`, {
+                actionType: action.type,
+                module: getModuleNamespace(action.type),
+                status: 'completed',
+                duration: duration(action)
+            });
+        },
+        error: (action, state, error) => {
+            const api = getApi();
+            if (!api) return;
+            const module = getModuleNamespace(action.type);
+            api.addBreadcrumb('vuex', `Vuex Action Failed: ${action.type}`, {
+                actionType: action.type,
+                module,
+                status: 'failed',
+                duration: duration(action)
+            });
+            api.sendError({
+                type: 'vuex_action_error',
+                error: {
+                    message: error?.message ?? String(error),
+                    stack: error?.stack,
+                    frames: parseStack(error?.stack)
+                },
+                action: sanitizer.sanitizeAction(action),
+                module,
+                duration: duration(action)
+            });
+        }
+    });
+}
+
+/**
+ * Plugin de Vuex para SyntropyFront
+ * Alternativa a setStore(): no necesita buscar el store ni parchear commit
+ *
+ * Usage:
+ * const vuexPlugin = syntropyVuexPlugin(api, { stateMode: 'diff' });
+ * new Vuex.Store({ plugins: [vuexPlugin] });
+ * vuexPlugin.destroy(); // Deja de registrar
+ *
+ * @param {Object} api - API segura de SyntropyFront (addBreadcrumb, sendError)
+ * @param {Object} options - Mismas opciones que VuexInterceptor
+ * @returns {Function} Plugin de Vuex (store) => unsubscribe, con destroy() para quitar todas las suscripciones
+ */
+export function syntropyVuexPlugin(api, options = {}) {
+    const sanitizer = createSanitizer(options);
+    const recorder = createStateRecorder(sanitizer, options);
+    const unsubscribers = [];
+    // null tras destroy(): las suscripciones que queden no registran nada
+    let activeApi = api;
+
+    const plugin = (vuexStore) => {
+        // store.subscribe solo ve el estado posterior; el baseline se toma al instalar el plugin
+        recorder.before(vuexStore.state, null);
+
+        const storeUnsubscribers = [vuexStore.subscribe((mutation, state) => {
+            if (!activeApi) return;
+            recordStoreActivity('vuex', mutation.type);
+            const data = {
+                mutation: sanitizer.sanitizeAction(mutation),
+                module: getModuleNamespace(mutation.type)
+            };
+            if (recorder.mode === 'diff') {
+                Object.assign(data, recorder.after(state, mutation));
+            } else {
+                data.newState = sanitizer.sanitizeState(state, mutation);
+            }
+            activeApi.addBreadcrumb('vuex', `Vuex Mutation: ${mutation.type}`, data);
+        })];
+
+        const unsubscribeActions = subscribeActions(vuexStore, () => activeApi, sanitizer);
+        if (unsubscribeActions) {
+            storeUnsubscribers.push(unsubscribeActions);
+        }
+        unsubscribers.push(...storeUnsubscribers);
+
+        return () => storeUnsubscribers.forEach((unsubscribe) => unsubscribe());
+    };
+
+    /**
+     * Quita las suscripciones de todos los stores donde se instaló el plugin
+     */
+    plugin.destroy = () => {
+        unsubscribers.splice(0).forEach((unsubscribe) => unsubscribe());
+        recorder.reset();
+        activeApi = null;
+    };
+
+    return plugin;
+}
+
 /**
  * VuexInterceptor - Interceptor para Vuex stores
- * Intercepta mutaciones y cambios de estado de Vuex
+ * Intercepta mutaciones, acciones y cambios de estado de Vuex
  * Usa la API segura de SyntropyFront
+ *
+ * @param {Object} options - Opciones de sanitización (ver utils/sanitizer.js)
+ * @param {Array<string>} [options.allowPaths] - Solo se registran estas rutas del estado
+ * @param {Array<string>} [options.denyPaths] - Rutas del estado que nunca se registran
+ * @param {Array<string|RegExp>} [options.maskKeys] - Patrones de clave enmascarados (ej. '*password*')
+ * @param {Function} [options.actionSanitizer] - (mutation) => mutation
+ * @param {Function} [options.stateSanitizer] - (state, mutation) => state
+ * @param {number} [options.maxDepth] - Profundidad máxima del estado registrado
+ * @param {number} [options.maxSize] - Tamaño máximo en bytes de cada snapshot
+ * @param {string} [options.stateMode] - 'snapshot' (por defecto) o 'diff' (parches JSON-Patch)
+ * @param {Object|Promise} [options.store] - Store (o promesa del store) a conectar en init()
+ * @param {Array<Function>} [options.locators] - () => store | undefined, consultados antes que los globales
+ * @param {Array<string>} [options.globalNames] - Globales a consultar (por defecto $store, store y vuexStore)
+ * @param {boolean} [options.autoDiscover] - Buscar el store con los locators (false: solo registerStore)
+ * @param {number} [options.retryDelay] - Primer intervalo de búsqueda en ms (crece con backoffFactor)
+ * @param {number} [options.maxRetryDelay] - Intervalo máximo de búsqueda en ms
+ * @param {number} [options.backoffFactor] - Multiplicador del intervalo
+ * @param {number} [options.discoveryTimeout] - ms hasta dejar de buscar (status 'gave-up')
  */
-export default function VuexInterceptor() {
+export default function VuexInterceptor(options = {}) {
+    const sanitizer = createSanitizer(options);
+    const recorder = createStateRecorder(sanitizer, options);
     let originalCommit = null;
     let store = null;
     let unsubscribe = null;
+    let unsubscribeActions = null;
     let api = null;
 
+    /**
+     * Conecta el store de Vuex (intercepta commit y dispatch)
+     * @param {Object} vuexStore - Store de Vuex
+     * @returns {boolean} True si el store quedó conectado
+     */
+    const attachStore = (vuexStore) => {
+        if (!vuexStore) {
+            console.warn('SyntropyFront: Store de Vuex no válido');
+            return false;
+        }
+
+        // Verificar que sea un store válido
+        if (typeof vuexStore.commit !== 'function' || typeof vuexStore.subscribe !== 'function') {
+            console.warn('SyntropyFront: Store de Vuex no tiene métodos requeridos (commit, subscribe)');
+            return false;
+        }
+
+        try {
+            store = vuexStore;
+
+            // Interceptar commit
+            originalCommit = store.commit;
+            store.commit = (type, payload, commitOptions) => {
+                const mutation = { type, payload };
+                recordStoreActivity('vuex', type);
+                try {
+                    if (recorder.mode === 'diff') {
+                        // Modo diff: un solo breadcrumb con el parche de estado
+                        recorder.before(store.state, mutation);
+                        const result = originalCommit.call(store, type, payload, commitOptions);
+                        api.addBreadcrumb('vuex', `Vuex Mutation: ${type}`, {
+                            mutation: sanitizer.sanitizeAction(mutation),
+                            module: getModuleNamespace(type),
+                            ...recorder.after(store.state, mutation)
+                        });
+                        return result;
+                    }
+
+                    // Agregar breadcrumb antes del commit
+                    api.addBreadcrumb('vuex', `Vuex Mutation: ${type}`, {
+                        mutation: sanitizer.sanitizeAction(mutation),
+                        module: getModuleNamespace(type),
+                        state: sanitizer.sanitizeState(store.state, mutation)
+                    });
+
+                    // Ejecutar commit original
+                    const result = originalCommit.call(store, type, payload, commitOptions);
+
+                    // Agregar breadcrumb después del commit
+                    api.addBreadcrumb('vuex', `Vuex State Updated`, {
+                        mutationType: type,
+                        newState: sanitizer.sanitizeState(store.state, mutation)
+                    });
+
+                    return result;
+                } catch (error) {
+                    // Si hay error en el commit, enviarlo
+                    const errorPayload = {
+                        type: 'vuex_commit_error',
+                        error: {
+                            message: error.message,
+                            stack: error.stack,
+                            frames: parseStack(error.stack)
+                        },
+                        mutation: sanitizer.sanitizeAction(mutation),
+                        module: getModuleNamespace(type)
+                    };
+                    if (recorder.mode === 'diff') {
+                        // El snapshot completo permite reconstruir el estado al fallar;
+                        // la mutación pudo dejar el estado a medias, así que se descarta el baseline
+                        errorPayload.state = recorder.snapshot(store.state, mutation);
+                        recorder.reset();
+                    }
+                    api.sendError(errorPayload);
+                    throw error;
+                }
+            };
+
+            // Suscribirse a cambios de estado
+            unsubscribe = store.subscribe((mutation, state) => {
+                // Los breadcrumbs ya se agregaron en commit
+                // Aquí podríamos agregar lógica adicional si es necesario
+            });
+
+            // Trazar acciones (dispatch) con timing y errores
+            unsubscribeActions = subscribeActions(store, () => api, sanitizer);
+
+            console.log('SyntropyFront: Store de Vuex configurado');
+            return true;
+        } catch (error) {
+            console.error('SyntropyFront: Error configurando store de Vuex:', error);
+            if (originalCommit) {
+                vuexStore.commit = originalCommit;
+            }
+            store = null;
+            originalCommit = null;
+            return false;
+        }
+    };
+
+    // Búsqueda del store: registerStore(), evento 'syntropyfront:store', locators con backoff
+    const discovery = createStoreDiscovery(attachStore, {
+        kind: 'vuex',
+        isStore: (candidate) => typeof candidate.commit === 'function'
+            && typeof candidate.subscribe === 'function'
+            && 'state' in candidate,
+        ...getDiscoveryOptions(
+            { ...options, locators: [...(options.locators || []), vueAppStoreLocator] },
+            ['$store', 'store', 'vuexStore']
+        )
+    });
+    if (options.store) {
+        discovery.register(options.store, 'options.store');
+    }
+
     return {
         name: 'vuex',
         
@@ -19,102 +309,43 @@ export default function VuexInterceptor() {
         init(apiInstance) {
             api = apiInstance;
             console.log('SyntropyFront: Vuex interceptor inicializado (esperando store)');
-            
-            // Inicialización "perezosa" con retry
-            this.findStoreWithRetry();
-        },
 
-        /**
-         * Busca store con retry automático
-         * @param {number} retries - Número de intentos restantes
-         * @param {number} delay - Delay entre intentos en ms
-         */
-        findStoreWithRetry(retries = 5, delay = 500) {
-            const foundStore = this.findVuexStore();
-            
-            if (foundStore) {
-                this.setStore(foundStore);
-                console.log('SyntropyFront: Store de Vuex encontrado y configurado automáticamente.');
-            } else if (retries > 0) {
-                console.log(`SyntropyFront: Buscando store de Vuex... (${retries} intentos restantes)`);
-                setTimeout(() => this.findStoreWithRetry(retries - 1, delay), delay);
-            } else {
-                console.warn('SyntropyFront: No se encontró store de Vuex después de varios intentos. Usa setStore() para configurarlo manualmente.');
-            }
+            // Inicialización "perezosa": el store puede crearse después
+            discovery.start();
         },
 
         /**
          * Configura el store de Vuex
          * @param {Object} vuexStore - Store de Vuex
+         * @returns {boolean} True si el store quedó conectado
          */
         setStore(vuexStore) {
             if (!api) {
                 console.warn('SyntropyFront: Vuex interceptor no inicializado');
-                return;
-            }
-
-            if (!vuexStore) {
-                console.warn('SyntropyFront: Store de Vuex no válido');
-                return;
-            }
-
-            // Verificar que sea un store válido
-            if (typeof vuexStore.commit !== 'function' || typeof vuexStore.subscribe !== 'function') {
-                console.warn('SyntropyFront: Store de Vuex no tiene métodos requeridos (commit, subscribe)');
-                return;
+                return false;
             }
+            return discovery.register(vuexStore, 'setStore');
+        },
 
-            try {
-                store = vuexStore;
-
-                // Interceptar commit
-                originalCommit = store.commit;
-                store.commit = (type, payload, options) => {
-                    try {
-                        // Agregar breadcrumb antes del commit
-                        api.addBreadcrumb('vuex', `Vuex Mutation: ${type}`, {
-                            mutation: { type, payload },
-                            state: store.state
-                        });
-
-                        // Ejecutar commit original
-                        const result = originalCommit.call(store, type, payload, options);
-
-                        // Agregar breadcrumb después del commit
-                        api.addBreadcrumb('vuex', `Vuex State Updated`, {
-                            mutationType: type,
-                            newState: store.state
-                        });
-
-                        return result;
-                    } catch (error) {
-                        // Si hay error en el commit, enviarlo
-                        api.sendError({
-                            type: 'vuex_commit_error',
-                            error: {
-                                message: error.message,
-                                stack: error.stack
-                            },
-                            mutation: { type, payload }
-                        });
-                        throw error;
-                    }
-                };
-
-                // Suscribirse a cambios de estado
-                unsubscribe = store.subscribe((mutation, state) => {
-                    // Los breadcrumbs ya se agregaron en commit
-                    // Aquí podríamos agregar lógica adicional si es necesario
-                });
+        /**
+         * Entrega el store cuando la app lo crea (puede llamarse antes de init)
+         * @param {Object|Promise} vuexStore - Store de Vuex o promesa que resuelve al store
+         * @returns {boolean} True si el store quedó conectado ahora
+         */
+        registerStore(vuexStore) {
+            return discovery.register(vuexStore);
+        },
 
-                console.log('SyntropyFront: Store de Vuex configurado');
-            } catch (error) {
-                console.error('SyntropyFront: Error configurando store de Vuex:', error);
-            }
+        /**
+         * Espera a que haya un store conectado
+         * @returns {Promise<Object|null>} Store, o null si la búsqueda se agotó o se destruyó el interceptor
+         */
+        whenStoreAttached() {
+            return discovery.whenAttached();
         },
 
         /**
-         * Busca automáticamente el store (método de conveniencia)
+         * Busca automáticamente el store una vez, sin esperar
          * @returns {boolean} True si encontró y configuró un store
          */
         autoFindStore() {
@@ -123,19 +354,7 @@ export default function VuexInterceptor() {
                 return false;
             }
 
-            let foundStore = null;
-
-            // Buscar en ubicaciones comunes
-            if (window.$store) {
-                foundStore = window.$store;
-            } else if (window.store) {
-                foundStore = window.store;
-            } else if (window.vuexStore) {
-                foundStore = window.vuexStore;
-            }
-
-            if (foundStore) {
-                this.setStore(foundStore);
+            if (store || discovery.locate()) {
                 return true;
             }
 
@@ -153,7 +372,10 @@ export default function VuexInterceptor() {
                 isInitialized: !!api,
                 hasStore: !!store,
                 storeType: store ? 'configured' : 'none',
-                methods: ['setStore', 'autoFindStore', 'getInfo']
+                tracksActions: !!unsubscribeActions,
+                discovery: discovery.getStatus(),
+                stateMode: recorder.mode,
+                methods: ['setStore', 'registerStore', 'whenStoreAttached', 'autoFindStore', 'getInfo']
             };
         },
 
@@ -162,6 +384,8 @@ export default function VuexInterceptor() {
          */
         destroy() {
             try {
+                discovery.stop();
+
                 // Restaurar commit original
                 if (store && originalCommit) {
                     store.commit = originalCommit;
@@ -171,11 +395,16 @@ export default function VuexInterceptor() {
                 if (unsubscribe) {
                     unsubscribe();
                 }
+                if (unsubscribeActions) {
+                    unsubscribeActions();
+                }
 
                 // Limpiar referencias
+                recorder.reset();
                 store = null;
                 originalCommit = null;
                 unsubscribe = null;
+                unsubscribeActions = null;
                 api = null;
 
                 console.log('SyntropyFront: Vuex interceptor destruido');
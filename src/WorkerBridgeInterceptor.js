@@ -0,0 +1,154 @@
+import { isWorkerMessage } from './utils/workerMessage.js';
+
+/**
+ * WorkerBridgeInterceptor - Recibe en el hilo principal los errores y breadcrumbs
+ * enviados por WorkerInterceptor y los entrega a la API de SyntropyFront
+ * Cada error y breadcrumb lleva la identidad del worker (`worker: { name, type, url }`)
+ * Usa la API segura de SyntropyFront
+ *
+ * Usage:
+ * SyntropyFront.inject('workerBridge', WorkerBridgeInterceptor());
+ * const bridge = SyntropyFront.getInterceptorInfo('workerBridge');
+ * bridge.attach(new Worker('/processor.js', { name: 'image-processor' }));
+ * bridge.attachServiceWorker();
+ *
+ * @param {Object} options - Opciones
+ * @param {boolean} [options.relayBreadcrumbs] - Reenviar breadcrumbs de los workers
+ * @param {boolean} [options.relayErrors] - Reenviar errores de los workers
+ */
+export default function WorkerBridgeInterceptor(options = {}) {
+    const config = {
+        relayBreadcrumbs: true,
+        relayErrors: true,
+        ...options
+    };
+    // target (Worker, MessagePort, navigator.serviceWorker) -> { handler, identity }
+    const attached = new Map();
+    let api = null;
+
+    /**
+     * Entrega un mensaje del protocolo a la API
+     */
+    const relay = (message, identity) => {
+        if (!api) return;
+        const worker = { ...message.worker, ...identity };
+
+        if (message.kind === 'breadcrumb') {
+            if (!config.relayBreadcrumbs) return;
+            const { category, message: text, data } = message.payload;
+            api.addBreadcrumb(category || 'worker', text, { ...data, worker });
+            return;
+        }
+
+        if (config.relayErrors) {
+            api.sendError({ ...message.payload, worker });
+        }
+    };
+
+    /**
+     * Deja de escuchar un worker
+     * @param {Object} target - Target pasado a attach()
+     */
+    const detach = (target) => {
+        const entry = attached.get(target);
+        if (!entry) return;
+        target.removeEventListener('message', entry.handler);
+        attached.delete(target);
+    };
+
+    /**
+     * Escucha los mensajes de un worker
+     * @param {Worker|MessagePort|Object} target - Worker, MessagePort (SharedWorker.port) o cualquier EventTarget con `message`
+     * @param {Object} identity - Identidad adicional (p. ej. { name: 'image-processor' })
+     * @returns {Function} Función para dejar de escuchar
+     */
+    const attach = (target, identity = {}) => {
+        if (!api) {
+            console.warn('SyntropyFront: Worker bridge no inicializado');
+            return () => {};
+        }
+
+        if (!target || typeof target.addEventListener !== 'function') {
+            console.warn('SyntropyFront: Worker no válido (falta addEventListener)');
+            return () => {};
+        }
+
+        if (attached.has(target)) {
+            return () => detach(target);
+        }
+
+        const handler = (event) => {
+            if (isWorkerMessage(event.data)) {
+                relay(event.data, identity);
+            }
+        };
+        target.addEventListener('message', handler);
+        // MessagePort necesita start() cuando se usa addEventListener
+        if (typeof target.start === 'function') {
+            target.start();
+        }
+        attached.set(target, { handler, identity });
+
+        return () => detach(target);
+    };
+
+    return {
+        name: 'workerBridge',
+
+        /**
+         * Inicializa el interceptor
+         * @param {Object} apiInstance - API segura de SyntropyFront
+         */
+        init(apiInstance) {
+            api = apiInstance;
+            console.log('SyntropyFront: Worker bridge inicializado (esperando workers)');
+        },
+
+        attach,
+
+        /**
+         * Escucha los mensajes del Service Worker de la página
+         * @param {Object} identity - Identidad adicional
+         * @returns {Function} Función para dejar de escuchar
+         */
+        attachServiceWorker(identity = {}) {
+            if (typeof navigator === 'undefined' || !navigator.serviceWorker) {
+                console.warn('SyntropyFront: Service Workers no disponibles');
+                return () => {};
+            }
+            return attach(navigator.serviceWorker, { type: 'service', ...identity });
+        },
+
+        detach,
+
+        /**
+         * Obtiene información del interceptor
+         * @returns {Object} Información del interceptor
+         */
+        getInfo() {
+            return {
+                name: 'workerBridge',
+                isInitialized: !!api,
+                attachedWorkers: [...attached.values()].map(({ identity }) => identity),
+                methods: ['attach', 'attachServiceWorker', 'detach', 'getInfo']
+            };
+        },
+
+        /**
+         * Destruye el interceptor y deja de escuchar todos los workers
+         */
+        destroy() {
+            try {
+                attached.forEach((entry, target) => {
+                    target.removeEventListener('message', entry.handler);
+                });
+                attached.clear();
+                api = null;
+
+                console.log('SyntropyFront: Worker bridge destruido');
+            } catch (error) {
+                console.error('SyntropyFront: Error destruyendo Worker bridge:', error);
+            }
+        }
+    };
+}
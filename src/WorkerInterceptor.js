@@ -0,0 +1,254 @@
+import { createSanitizer } from './utils/sanitizer.js';
+import { parseStack, framesFromLocation } from './utils/stackParser.js';
+import { normalizeError } from './utils/errorNormalizer.js';
+import { createWorkerMessage } from './utils/workerMessage.js';
+
+// Mensajes retenidos mientras un Service Worker no tiene clientes
+const MAX_PENDING_MESSAGES = 50;
+
+// Límites del stack de un error; el resto del payload pasa por el maxSize del sanitizer
+const MAX_STACK_LENGTH = 16 * 1024;
+const MAX_FRAMES = 50;
+
+/**
+ * Sanitiza un payload de error sin perder lo que lo identifica
+ * Un stack enorme no debe convertir todo el payload en { __truncated }: type, name y message
+ * se conservan siempre, stack y frames se recortan aparte y el resto pasa por el sanitizer
+ * @param {Object} sanitizer - Sanitizer creado con createSanitizer()
+ * @param {Object} errorPayload - Payload de sendError()
+ * @returns {Object} Payload clonable
+ */
+function sanitizeErrorPayload(sanitizer, errorPayload) {
+    const { type, error, ...rest } = errorPayload || {};
+    const payload = { ...sanitizer.sanitizeAction(rest), type };
+    if (error && typeof error === 'object') {
+        const { name, message, stack, frames, ...details } = error;
+        payload.error = {
+            ...sanitizer.sanitizeAction(details),
+            name: name === undefined ? undefined : String(name),
+            message: message === undefined ? undefined : String(message),
+            stack: typeof stack === 'string' && stack.length > MAX_STACK_LENGTH
+                ? `${stack.slice(0, MAX_STACK_LENGTH)}\n… [${stack.length} chars]`
+                : stack,
+            // Los frames de parseStack() ya son objetos planos
+            frames: Array.isArray(frames) ? frames.slice(0, MAX_FRAMES) : undefined
+        };
+    } else if (error !== undefined) {
+        payload.error = { message: String(error) };
+    }
+    return payload;
+}
+
+/**
+ * Obtiene el scope global del worker
+ * @returns {Object|null} self / globalThis
+ */
+function getDefaultScope() {
+    if (typeof self !== 'undefined') return self;
+    if (typeof globalThis !== 'undefined') return globalThis;
+    return null;
+}
+
+/**
+ * Identidad del worker que viaja en cada mensaje
+ * @param {Object} scope - Scope global del worker
+ * @param {string} [name] - Nombre explícito
+ * @returns {Object} { name, type, url }
+ */
+function getWorkerIdentity(scope, name) {
+    let type = 'dedicated';
+    if (typeof ServiceWorkerGlobalScope !== 'undefined' && scope instanceof ServiceWorkerGlobalScope) {
+        type = 'service';
+    } else if (typeof SharedWorkerGlobalScope !== 'undefined' && scope instanceof SharedWorkerGlobalScope) {
+        type = 'shared';
+    }
+    return {
+        name: name || scope.name || null,
+        type,
+        url: scope.location ? String(scope.location.href).split(/[?#]/)[0] : null
+    };
+}
+
+/**
+ * WorkerInterceptor - Captura errores dentro de un Web Worker o Service Worker
+ * Escucha `error` / `unhandledrejection` en `self` y reenvía errores y breadcrumbs
+ * al hilo principal por postMessage, donde WorkerBridgeInterceptor los entrega a SyntropyFront
+ *
+ * Usage (dentro del worker):
+ * import { WorkerInterceptor } from '@syntropyfront/interceptors/worker';
+ *
+ * const workerInterceptor = WorkerInterceptor({ name: 'image-processor' });
+ * workerInterceptor.init();
+ * workerInterceptor.api.addBreadcrumb('worker', 'Processing started', { size });
+ *
+ * @param {Object} options - Opciones
+ * @param {Object} [options.scope] - Scope global (por defecto `self`)
+ * @param {string} [options.name] - Nombre del worker (por defecto `self.name`)
+ * @param {boolean} [options.captureErrors] - Capturar errores no atrapados
+ * @param {boolean} [options.captureUnhandledRejections] - Capturar promesas rechazadas sin manejar
+ * @param {Function} [options.transport] - (message) => void, reemplaza postMessage (p. ej. un MessagePort)
+ */
+export default function WorkerInterceptor(options = {}) {
+    const config = {
+        scope: getDefaultScope(),
+        name: null,
+        captureErrors: true,
+        captureUnhandledRejections: true,
+        transport: null,
+        ...options
+    };
+    // Los datos de los breadcrumbs deben sobrevivir al structured clone de postMessage
+    const sanitizer = createSanitizer({ maxDepth: 5, ...options });
+    const scope = config.scope;
+    const listeners = [];
+    const pending = [];
+    let identity = null;
+    let api = null;
+
+    /**
+     * Envía un mensaje al hilo principal
+     */
+    const post = (message) => {
+        try {
+            if (config.transport) {
+                config.transport(message);
+                return;
+            }
+
+            // Service Worker: no hay postMessage propio, se envía a las ventanas cliente
+            if (scope.clients && typeof scope.clients.matchAll === 'function') {
+                pending.push(message);
+                if (pending.length > MAX_PENDING_MESSAGES) pending.shift();
+                scope.clients.matchAll({ includeUncontrolled: true, type: 'window' }).then((clients) => {
+                    if (!clients.length) return;
+                    const messages = pending.splice(0, pending.length);
+                    clients.forEach((client) => messages.forEach((queued) => client.postMessage(queued)));
+                }).catch(() => {});
+                return;
+            }
+
+            if (typeof scope.postMessage === 'function') {
+                scope.postMessage(message);
+            }
+        } catch (error) {
+            // DataCloneError o canal cerrado: nunca romper el worker
+        }
+    };
+
+    // API con la misma forma que la API segura de SyntropyFront, para usar dentro del worker
+    const relay = {
+        addBreadcrumb(category, message, data = {}) {
+            post(createWorkerMessage('breadcrumb', identity || getWorkerIdentity(scope, config.name), {
+                category,
+                message,
+                data: sanitizer.sanitizeAction(data),
+                timestamp: new Date().toISOString()
+            }));
+        },
+
+        sendError(errorPayload) {
+            post(createWorkerMessage('error', identity || getWorkerIdentity(scope, config.name), {
+                ...sanitizeErrorPayload(sanitizer, errorPayload),
+                timestamp: errorPayload.timestamp || new Date().toISOString()
+            }));
+        }
+    };
+
+    const addListener = (type, handler) => {
+        const listenerOptions = { capture: true };
+        scope.addEventListener(type, handler, listenerOptions);
+        listeners.push({ type, handler, options: listenerOptions });
+    };
+
+    return {
+        name: 'worker',
+
+        /**
+         * API para usar dentro del worker (addBreadcrumb, sendError) que reenvía al hilo principal
+         */
+        api: relay,
+
+        /**
+         * Inicializa el interceptor
+         * @param {Object} [apiInstance] - API a usar en lugar del relay por postMessage
+         */
+        init(apiInstance) {
+            if (!scope || typeof scope.addEventListener !== 'function') {
+                console.warn('SyntropyFront: Worker interceptor sin scope de worker, no se inicializa');
+                return;
+            }
+            if (api) return;
+
+            api = apiInstance || relay;
+            identity = getWorkerIdentity(scope, config.name);
+
+            if (config.captureErrors) {
+                addListener('error', (event) => {
+                    if (!api) return;
+                    const { name, code, data, linked } = event.error ? normalizeError(event.error) : {};
+                    api.sendError({
+                        type: 'worker_error',
+                        error: {
+                            name,
+                            message: event.message || event.error?.message || 'Worker error',
+                            source: event.filename,
+                            lineno: event.lineno,
+                            colno: event.colno,
+                            stack: event.error?.stack,
+                            frames: event.error?.stack
+                                ? parseStack(event.error.stack)
+                                : framesFromLocation(event.filename, event.lineno, event.colno),
+                            code,
+                            data,
+                            linked
+                        }
+                    });
+                });
+            }
+
+            if (config.captureUnhandledRejections) {
+                addListener('unhandledrejection', (event) => {
+                    if (!api) return;
+                    const error = normalizeError(event.reason);
+                    if (!error.message) {
+                        error.message = 'Promise rejection without message';
+                    }
+                    api.sendError({
+                        type: 'worker_unhandled_rejection',
+                        error
+                    });
+                });
+            }
+        },
+
+        /**
+         * Obtiene información del interceptor
+         * @returns {Object} Información del interceptor
+         */
+        getInfo() {
+            return {
+                name: 'worker',
+                isInitialized: !!api,
+                worker: identity,
+                pendingMessages: pending.length,
+                methods: ['getInfo']
+            };
+        },
+
+        /**
+         * Destruye el interceptor y quita los listeners del scope
+         */
+        destroy() {
+            try {
+                listeners.forEach(({ type, handler, options: listenerOptions }) => {
+                    scope.removeEventListener(type, handler, listenerOptions);
+                });
+                listeners.length = 0;
+                pending.length = 0;
+                api = null;
+            } catch (error) {
+                console.error('SyntropyFront: Error destruyendo Worker interceptor:', error);
+            }
+        }
+    };
+}
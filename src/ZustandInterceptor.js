@@ -0,0 +1,292 @@
+import { createSanitizer } from './utils/sanitizer.js';
+import { createStateRecorder } from './utils/stateRecorder.js';
+import { parseStack } from './utils/stackParser.js';
+import { recordStoreActivity } from './utils/storeActivity.js';
+
+/**
+ * Nombre de la acción de un setState de Zustand
+ * Con el middleware devtools el tercer argumento es el nombre ('cart/add') o una acción ({ type })
+ * @param {Object|Function} partial - Estado parcial o función (state) => parcial
+ * @param {string|Object} [nameOrAction] - Nombre estilo devtools
+ * @returns {string} Nombre de la acción
+ */
+function getActionName(partial, nameOrAction) {
+    if (typeof nameOrAction === 'string' && nameOrAction) return nameOrAction;
+    if (nameOrAction && typeof nameOrAction.type === 'string') return nameOrAction.type;
+    if (typeof partial === 'function' && partial.name) return partial.name;
+    return 'setState';
+}
+
+/**
+ * Convierte los argumentos de setState en una acción estilo Redux
+ * @returns {Object} { type, payload?, replace?, ...acción devtools }
+ */
+function toAction(partial, replace, nameOrAction) {
+    const extra = nameOrAction && typeof nameOrAction === 'object' ? nameOrAction : {};
+    return {
+        ...extra,
+        type: getActionName(partial, nameOrAction),
+        payload: typeof partial === 'function' ? undefined : partial,
+        replace: replace || undefined
+    };
+}
+
+/**
+ * Crea el trazador de setState compartido por el middleware y las suscripciones
+ * Mismo formato de breadcrumbs y errores que ReduxInterceptor
+ * @param {Function} getApi - Devuelve la API segura de SyntropyFront
+ * @param {Object} sanitizer - Sanitizer creado con createSanitizer()
+ * @param {Object} recorder - Registrador creado con createStateRecorder()
+ * @param {string|null} storeName - Nombre del store (prefijo de los breadcrumbs)
+ * @returns {Object} { wrap(setState, getState), recordChange(state, prevState) }
+ */
+function createSetTracer(getApi, sanitizer, recorder, storeName) {
+    const prefix = storeName ? `${storeName}/` : '';
+    // true mientras un setState trazado se ejecuta (la suscripción no lo registra otra vez)
+    let tracing = false;
+
+    const reportSetError = (api, error, action, getState) => {
+        const errorPayload = {
+            type: 'zustand_set_error',
+            error: {
+                message: error.message,
+                stack: error.stack,
+                frames: parseStack(error.stack)
+            },
+            store: storeName,
+            action: sanitizer.sanitizeAction(action)
+        };
+        // En modo diff el error lleva el snapshot completo para reconstruir el estado
+        if (recorder.mode === 'diff') {
+            errorPayload.state = recorder.snapshot(getState(), action);
+        }
+        api.sendError(errorPayload);
+    };
+
+    /**
+     * Breadcrumbs de un cambio de estado
+     */
+    const record = (api, action, prevState, nextState) => {
+        // Los nombres estilo devtools ya suelen llevar el store ('cart/add')
+        const name = prefix && !String(action.type).startsWith(prefix) ? `${prefix}${action.type}` : action.type;
+        const message = `Zustand Action: ${name}`;
+        recordStoreActivity('zustand', name);
+        if (recorder.mode === 'diff') {
+            // Modo diff: un solo breadcrumb con el parche de estado
+            recorder.before(prevState, action);
+            api.addBreadcrumb('zustand', message, {
+                store: storeName,
+                action: sanitizer.sanitizeAction(action),
+                ...recorder.after(nextState, action)
+            });
+            return;
+        }
+
+        api.addBreadcrumb('zustand', message, {
+            store: storeName,
+            action: sanitizer.sanitizeAction(action),
+            state: sanitizer.sanitizeState(prevState, action)
+        });
+        api.addBreadcrumb('zustand', `Zustand State Updated`, {
+            store: storeName,
+            actionType: action.type,
+            newState: sanitizer.sanitizeState(nextState, action)
+        });
+    };
+
+    return {
+        /**
+         * Envuelve un setState: registra el cambio con el nombre de la acción
+         * @param {Function} setState - set del inicializador o store.setState
+         * @param {Function} getState - get / store.getState
+         * @returns {Function} setState trazado
+         */
+        wrap(setState, getState) {
+            return (partial, replace, ...rest) => {
+                const api = getApi();
+                if (!api || tracing) return setState(partial, replace, ...rest);
+
+                const action = toAction(partial, replace, rest[0]);
+                const prevState = getState();
+                tracing = true;
+                try {
+                    const result = setState(partial, replace, ...rest);
+                    record(api, action, prevState, getState());
+                    return result;
+                } catch (error) {
+                    reportSetError(api, error, action, getState);
+                    throw error;
+                } finally {
+                    tracing = false;
+                }
+            };
+        },
+
+        /**
+         * Registra un cambio visto por store.subscribe que no pasó por un setState trazado
+         * (el `set` interno de un store creado sin el middleware)
+         * @param {*} state - Estado nuevo
+         * @param {*} prevState - Estado anterior
+         */
+        recordChange(state, prevState) {
+            const api = getApi();
+            if (!api || tracing) return;
+            record(api, { type: 'setState' }, prevState, state);
+        }
+    };
+}
+
+/**
+ * Middleware de Zustand para SyntropyFront
+ * Ve todos los `set` del inicializador, con el nombre de la acción cuando se pasa
+ * como tercer argumento (convención del middleware devtools)
+ *
+ * Usage:
+ * const useCart = create(devtools(syntropyZustand(api, (set) => ({
+ *     items: [],
+ *     add: (item) => set((state) => ({ items: [...state.items, item] }), false, 'cart/add')
+ * }), { name: 'cart' })));
+ *
+ * @param {Object} api - API segura de SyntropyFront (addBreadcrumb, sendError)
+ * @param {Function} initializer - (set, get, store) => estado inicial
+ * @param {Object} options - Mismas opciones que ZustandInterceptor
+ * @param {string} [options.name] - Nombre del store en los breadcrumbs
+ * @returns {Function} Inicializador trazado
+ */
+export function syntropyZustand(api, initializer, options = {}) {
+    const sanitizer = createSanitizer(options);
+    const recorder = createStateRecorder(sanitizer, options);
+    const tracer = createSetTracer(() => api, sanitizer, recorder, options.name || null);
+
+    return (set, get, store) => {
+        const tracedSet = tracer.wrap(set, get);
+        // setState desde fuera de los componentes (useStore.setState) también se traza
+        if (store && typeof store.setState === 'function') {
+            store.setState = store.setState === set ? tracedSet : tracer.wrap(store.setState, get);
+        }
+        return initializer(tracedSet, get, store);
+    };
+}
+
+/**
+ * ZustandInterceptor - Interceptor para stores de Zustand ya creados
+ * Envuelve store.setState y se suscribe al store; los cambios hechos con el `set`
+ * interno del inicializador se registran como 'setState' (usa syntropyZustand para ver sus nombres)
+ * Usa la API segura de SyntropyFront
+ *
+ * Usage:
+ * SyntropyFront.inject('zustand', ZustandInterceptor({ stores: { cart: useCart } }));
+ * SyntropyFront.getInterceptorInfo('zustand')?.addStore(useSession, 'session');
+ *
+ * @param {Object} options - Opciones de sanitización y estado (ver ReduxInterceptor)
+ * @param {Object} [options.stores] - { nombre: store } a conectar en init()
+ * @param {string} [options.stateMode] - 'snapshot' (por defecto) o 'diff' (parches JSON-Patch)
+ */
+export default function ZustandInterceptor(options = {}) {
+    const sanitizer = createSanitizer(options);
+    // store -> { name, originalSetState, tracedSetState, unsubscribe, recorder }
+    const stores = new Map();
+    const { mode: stateMode } = createStateRecorder(sanitizer, options);
+    let api = null;
+
+    /**
+     * Deja de trazar un store y restaura su setState
+     * @param {Object} store - Store pasado a addStore()
+     */
+    const removeStore = (store) => {
+        const entry = stores.get(store);
+        if (!entry) return;
+        if (store.setState === entry.tracedSetState) {
+            store.setState = entry.originalSetState;
+        }
+        entry.unsubscribe();
+        entry.recorder.reset();
+        stores.delete(store);
+    };
+
+    /**
+     * Conecta un store de Zustand (el hook de create() o el store de createStore())
+     * @param {Object} store - Store con getState, setState y subscribe
+     * @param {string} [name] - Nombre del store en los breadcrumbs
+     * @returns {Function} Función para desconectar el store
+     */
+    const addStore = (store, name) => {
+        if (!api) {
+            console.warn('SyntropyFront: Zustand interceptor no inicializado');
+            return () => {};
+        }
+
+        if (!store || typeof store.setState !== 'function' || typeof store.subscribe !== 'function' || typeof store.getState !== 'function') {
+            console.warn('SyntropyFront: Store de Zustand no tiene métodos requeridos (getState, setState, subscribe)');
+            return () => {};
+        }
+
+        if (stores.has(store)) {
+            return () => removeStore(store);
+        }
+
+        try {
+            const storeName = name || `store${stores.size + 1}`;
+            const recorder = createStateRecorder(sanitizer, options);
+            const tracer = createSetTracer(() => api, sanitizer, recorder, storeName);
+            const originalSetState = store.setState;
+            const tracedSetState = tracer.wrap(originalSetState, store.getState);
+
+            store.setState = tracedSetState;
+            const unsubscribe = store.subscribe((state, prevState) => tracer.recordChange(state, prevState));
+            stores.set(store, { name: storeName, originalSetState, tracedSetState, unsubscribe, recorder });
+
+            console.log(`SyntropyFront: Store de Zustand configurado (${storeName})`);
+        } catch (error) {
+            console.error('SyntropyFront: Error configurando store de Zustand:', error);
+        }
+
+        return () => removeStore(store);
+    };
+
+    return {
+        name: 'zustand',
+
+        /**
+         * Inicializa el interceptor
+         * @param {Object} apiInstance - API segura de SyntropyFront
+         */
+        init(apiInstance) {
+            api = apiInstance;
+            Object.keys(options.stores || {}).forEach((storeName) => addStore(options.stores[storeName], storeName));
+            console.log('SyntropyFront: Zustand interceptor inicializado');
+        },
+
+        addStore,
+
+        removeStore,
+
+        /**
+         * Obtiene información del interceptor
+         * @returns {Object} Información del interceptor
+         */
+        getInfo() {
+            return {
+                name: 'zustand',
+                isInitialized: !!api,
+                stores: [...stores.values()].map((entry) => entry.name),
+                stateMode,
+                methods: ['addStore', 'removeStore', 'getInfo']
+            };
+        },
+
+        /**
+         * Destruye el interceptor y restaura todos los stores
+         */
+        destroy() {
+            try {
+                [...stores.keys()].forEach(removeStore);
+                api = null;
+
+                console.log('SyntropyFront: Zustand interceptor destruido');
+            } catch (error) {
+                console.error('SyntropyFront: Error destruyendo Zustand interceptor:', error);
+            }
+        }
+    };
+}
@@ -0,0 +1,20 @@
+/**
+ * Angular Interceptor Export
+ *
+ * Usage:
+ * import { provideSyntropyErrorHandler, syntropyMetaReducer, AngularRouterInterceptor } from '@syntropyfront/interceptors/angular';
+ *
+ * providers: [
+ *     provideSyntropyErrorHandler(api),
+ *     { provide: EFFECTS_ERROR_HANDLER, useValue: createEffectsErrorHandler(api, defaultEffectsErrorHandler) }
+ * ]
+ * StoreModule.forRoot(reducers, { metaReducers: [syntropyMetaReducer(api)] })
+ *
+ * syntropyFront.injectCustomInterceptor('angularRouter', AngularRouterInterceptor());
+ * SyntropyFront.getInterceptorInfo('angularRouter')?.setRouter(router);
+ */
+
+export { SyntropyErrorHandler, provideSyntropyErrorHandler } from './AngularErrorHandler.js';
+export { syntropyMetaReducer, createEffectsErrorHandler } from './NgRxInterceptor.js';
+export { default as AngularRouterInterceptor } from './AngularRouterInterceptor.js';
+export { default as ErrorInterceptor } from './ErrorInterceptor.js';
@@ -0,0 +1,186 @@
+/**
+ * Indica si un valor cumple el contrato de interceptor ({ init(api), getInfo(), destroy() })
+ * @param {*} value - Valor a verificar
+ * @returns {boolean} True si tiene init()
+ */
+function isInterceptor(value) {
+    return !!value && typeof value === 'object' && typeof value.init === 'function';
+}
+
+/**
+ * Convierte una definición en una instancia de interceptor
+ * @param {string} key - Clave de la definición
+ * @param {*} definition - Instancia, factory, opciones de un interceptor del registro o true
+ * @param {Object} registry - Factories por clave
+ * @returns {Object} Instancia del interceptor
+ */
+function resolveInterceptor(key, definition, registry) {
+    if (isInterceptor(definition)) {
+        return definition;
+    }
+    if (typeof definition === 'function') {
+        return definition();
+    }
+    if (typeof registry[key] === 'function' && (definition === true || (definition && typeof definition === 'object'))) {
+        return registry[key](definition === true ? {} : definition);
+    }
+    throw new Error(`Definición no válida para "${key}" (se espera un interceptor, una factory u opciones)`);
+}
+
+/**
+ * createInterceptors - Registro componible de interceptores
+ * Inicializa los interceptores en el orden de la definición, aísla los fallos (un
+ * interceptor que lanza en init() no impide que se inicialicen los demás) y los
+ * destruye juntos en orden inverso
+ * El registro cumple el mismo contrato que un interceptor, por lo que puede inyectarse
+ * en SyntropyFront como uno solo
+ *
+ * Usage:
+ * const registry = createInterceptors({
+ *     error: { mode: 'listener' },             // Opciones de un interceptor del registro
+ *     redux: ReduxInterceptor({ stateMode: 'diff' }),
+ *     network: { agentEndpoint: '/errors' },
+ *     ui: UIInterceptor                        // Factory sin opciones
+ * });
+ * SyntropyFront.inject('interceptors', registry);
+ * registry.get('redux').setStore(store);
+ *
+ * @param {Object} definitions - { clave: instancia | factory | opciones | true | false }
+ * @param {Object} options - Opciones
+ * @param {Object} [options.registry] - Factories por clave para las definiciones con opciones
+ * @param {string} [options.name] - Nombre del registro
+ * @param {Function} [options.onError] - (key, error, phase) => void, phase es 'create', 'init' o 'destroy'
+ * @returns {Object} Registro ({ name, init(api), get(key), getInfo(), destroy() })
+ */
+export function createInterceptors(definitions = {}, options = {}) {
+    const config = {
+        registry: {},
+        name: 'interceptors',
+        onError: null,
+        ...options
+    };
+    // clave -> { interceptor, status: 'pending' | 'ready' | 'failed', error }
+    const entries = new Map();
+    let api = null;
+
+    const reportFailure = (key, error, phase) => {
+        console.error(`SyntropyFront: Error en el interceptor "${key}" (${phase}):`, error);
+        if (typeof config.onError === 'function') {
+            try {
+                config.onError(key, error, phase);
+            } catch (callbackError) {
+                // Un onError que lanza no debe romper el registro
+            }
+        }
+    };
+
+    const safeDestroy = (key, interceptor) => {
+        if (!interceptor || typeof interceptor.destroy !== 'function') return;
+        try {
+            interceptor.destroy();
+        } catch (error) {
+            reportFailure(key, error, 'destroy');
+        }
+    };
+
+    Object.keys(definitions).forEach((key) => {
+        const definition = definitions[key];
+        // false / null / undefined desactivan el interceptor
+        if (definition === false || definition === null || definition === undefined) return;
+
+        try {
+            const interceptor = resolveInterceptor(key, definition, config.registry);
+            if (!isInterceptor(interceptor)) {
+                throw new Error(`"${key}" no cumple el contrato de interceptor (falta init)`);
+            }
+            entries.set(key, { interceptor, status: 'pending', error: null });
+        } catch (error) {
+            entries.set(key, { interceptor: null, status: 'failed', error });
+            reportFailure(key, error, 'create');
+        }
+    });
+
+    return {
+        name: config.name,
+
+        /**
+         * Inicializa todos los interceptores en orden
+         * @param {Object} apiInstance - API segura de SyntropyFront
+         */
+        init(apiInstance) {
+            if (api) {
+                console.warn('SyntropyFront: Registro de interceptores ya inicializado');
+                return;
+            }
+
+            api = apiInstance;
+            entries.forEach((entry, key) => {
+                if (entry.status !== 'pending') return;
+                try {
+                    entry.interceptor.init(api);
+                    entry.status = 'ready';
+                } catch (error) {
+                    entry.status = 'failed';
+                    entry.error = error;
+                    reportFailure(key, error, 'init');
+                    // Deshacer lo que haya alcanzado a instalar
+                    safeDestroy(key, entry.interceptor);
+                }
+            });
+        },
+
+        /**
+         * Obtiene un interceptor del registro
+         * @param {string} key - Clave de la definición
+         * @returns {Object|null} Instancia del interceptor
+         */
+        get(key) {
+            const entry = entries.get(key);
+            return entry ? entry.interceptor : null;
+        },
+
+        /**
+         * Obtiene información del registro y de cada interceptor
+         * @returns {Object} Información del registro
+         */
+        getInfo() {
+            const interceptors = {};
+            entries.forEach((entry, key) => {
+                let info = null;
+                if (entry.interceptor && typeof entry.interceptor.getInfo === 'function') {
+                    try {
+                        info = entry.interceptor.getInfo();
+                    } catch (error) {
+                        info = null;
+                    }
+                }
+                interceptors[key] = {
+                    status: entry.status,
+                    error: entry.error ? String(entry.error.message || entry.error) : undefined,
+                    info
+                };
+            });
+
+            return {
+                name: config.name,
+                isInitialized: !!api,
+                interceptors,
+                failed: [...entries.keys()].filter((key) => entries.get(key).status === 'failed'),
+                methods: ['get', 'getInfo']
+            };
+        },
+
+        /**
+         * Destruye todos los interceptores en orden inverso
+         */
+        destroy() {
+            [...entries.keys()].reverse().forEach((key) => {
+                const entry = entries.get(key);
+                if (entry.status !== 'ready') return;
+                safeDestroy(key, entry.interceptor);
+                entry.status = 'pending';
+            });
+            api = null;
+        }
+    };
+}
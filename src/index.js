@@ -4,18 +4,86 @@
  * 
  * This package provides framework-specific interceptors that can be used
  * with the core SyntropyFront library via the injectCustomInterceptor() method.
+ *
+ * Every interceptor is a factory: `Interceptor(options)` returns
+ * `{ name, init(api), getInfo(), destroy() }` and `init` receives the secure API.
  */
 
-// Import and re-export ErrorInterceptor
+// Import and re-export interceptors
 import ErrorInterceptor from './ErrorInterceptor.js';
+import NetworkInterceptor from './NetworkInterceptor.js';
+import ConsoleInterceptor from './ConsoleInterceptor.js';
+import WorkerBridgeInterceptor from './WorkerBridgeInterceptor.js';
+import UIInterceptor from './UIInterceptor.js';
+import PerformanceInterceptor from './PerformanceInterceptor.js';
+import ReportingInterceptor from './ReportingInterceptor.js';
+import RealtimeInterceptor from './RealtimeInterceptor.js';
+import ReduxInterceptor from './ReduxInterceptor.js';
+import VuexInterceptor from './VuexInterceptor.js';
+import PiniaInterceptor from './PiniaInterceptor.js';
+import VueInterceptor from './VueInterceptor.js';
+import ZustandInterceptor from './ZustandInterceptor.js';
+import MobXInterceptor from './MobXInterceptor.js';
+import { createInterceptors as createRegistry } from './createInterceptors.js';
 
 // Export individual interceptors
-export { ErrorInterceptor };
+export {
+  ErrorInterceptor,
+  NetworkInterceptor,
+  ConsoleInterceptor,
+  WorkerBridgeInterceptor,
+  UIInterceptor,
+  PerformanceInterceptor,
+  ReportingInterceptor,
+  RealtimeInterceptor,
+  ReduxInterceptor,
+  VuexInterceptor,
+  PiniaInterceptor,
+  VueInterceptor,
+  ZustandInterceptor,
+  MobXInterceptor
+};
+
+// Utilities to rebuild store state from 'diff' mode breadcrumbs
+export { applyPatch } from './utils/diff.js';
+
+// GraphQL operation tracing: Apollo Link and urql exchange
+export { syntropyApolloLink, syntropyUrqlExchange } from './GraphQLInterceptor.js';
+
+// Parse error.stack into structured frames
+export { parseStack } from './utils/stackParser.js';
+
+// Serialize any thrown/rejected value, with cause and AggregateError chains
+export { normalizeError } from './utils/errorNormalizer.js';
 
 // Export all interceptors as a collection
 export const interceptors = {
-  error: ErrorInterceptor
+  error: ErrorInterceptor,
+  network: NetworkInterceptor,
+  console: ConsoleInterceptor,
+  workerBridge: WorkerBridgeInterceptor,
+  ui: UIInterceptor,
+  performance: PerformanceInterceptor,
+  reporting: ReportingInterceptor,
+  realtime: RealtimeInterceptor,
+  redux: ReduxInterceptor,
+  vuex: VuexInterceptor,
+  pinia: PiniaInterceptor,
+  vue: VueInterceptor,
+  zustand: ZustandInterceptor,
+  mobx: MobXInterceptor
 };
 
+/**
+ * Build a composable registry of interceptors (see createInterceptors.js)
+ * Plain option objects are resolved against the `interceptors` collection
+ * @param {Object} definitions - { key: interceptor | factory | options | true | false }
+ * @param {Object} options - Registry options (name, onError, registry)
+ * @returns {Object} Registry ({ name, init(api), get(key), getInfo(), destroy() })
+ */
+export function createInterceptors(definitions, options = {}) {
+  return createRegistry(definitions, { ...options, registry: { ...interceptors, ...options.registry } });
+}
+
 // Default export
-export default interceptors; 
\ No newline at end of file
+export default interceptors;
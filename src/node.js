@@ -0,0 +1,14 @@
+/**
+ * Node / SSR Interceptor Export
+ * For server renders (Next.js, Nuxt, Express...), where `ErrorInterceptor` has no `window`
+ *
+ * Usage:
+ * import { ProcessInterceptor } from '@syntropyfront/interceptors/node';
+ * const processInterceptor = ProcessInterceptor();
+ * processInterceptor.init(api);
+ * app.use(processInterceptor.requestHandler());
+ */
+
+export { default as ProcessInterceptor } from './ProcessInterceptor.js';
+export { normalizeError } from './utils/errorNormalizer.js';
+export { parseStack } from './utils/stackParser.js';
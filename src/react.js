@@ -3,9 +3,26 @@
  * 
  * Usage:
  * import { ReduxInterceptor, ErrorInterceptor } from '@syntropyfront/interceptors/react';
- * syntropyFront.injectCustomInterceptor('redux', ReduxInterceptor);
- * syntropyFront.injectCustomInterceptor('error', ErrorInterceptor);
+ * syntropyFront.injectCustomInterceptor('redux', ReduxInterceptor());
+ * syntropyFront.injectCustomInterceptor('error', ErrorInterceptor());
+ *
+ * Or as Redux middleware:
+ * import { syntropyMiddleware } from '@syntropyfront/interceptors/react';
+ * configureStore({ reducer, middleware: (getDefault) => getDefault().prepend(syntropyMiddleware(api)) });
+ *
+ * Zustand and MobX:
+ * import { syntropyZustand, ZustandInterceptor, MobXInterceptor } from '@syntropyfront/interceptors/react';
+ * const useCart = create(syntropyZustand(api, (set) => ({ ... }), { name: 'cart' }));
+ * syntropyFront.injectCustomInterceptor('mobx', MobXInterceptor({ mobx }));
+ *
+ * Render errors:
+ * import { SyntropyErrorBoundary, createRootErrorHandlers } from '@syntropyfront/interceptors/react';
+ * <SyntropyErrorBoundary api={api} fallback={({ resetErrorBoundary }) => ...}>...</SyntropyErrorBoundary>
+ * createRoot(container, createRootErrorHandlers(api));
  */
 
-export { default as ReduxInterceptor } from './ReduxInterceptor.js';
-export { default as ErrorInterceptor } from './ErrorInterceptor.js'; 
\ No newline at end of file
+export { default as ReduxInterceptor, syntropyMiddleware } from './ReduxInterceptor.js';
+export { default as ZustandInterceptor, syntropyZustand } from './ZustandInterceptor.js';
+export { default as MobXInterceptor } from './MobXInterceptor.js';
+export { default as ErrorInterceptor } from './ErrorInterceptor.js';
+export { SyntropyErrorBoundary, createRootErrorHandlers } from './ReactErrorBoundary.js';
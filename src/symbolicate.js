@@ -0,0 +1,205 @@
+/**
+ * Symbolication - Traduce los frames minificados de un payload de error a su código original
+ * usando source maps. No depende de Node ni del navegador: los mapas se obtienen con un loader.
+ *
+ * Usage:
+ * const symbolicator = createSymbolicator({ loadSourceMap: createFetchSourceMapLoader() });
+ * const readable = await symbolicator.symbolicate(errorPayload);
+ */
+
+import { parseSourceMap, findSourceMappingURL, decodeDataUrl } from './utils/sourceMap.js';
+import { parseStack, framesFromLocation } from './utils/stackParser.js';
+
+export { parseSourceMap, findSourceMappingURL, decodeDataUrl };
+
+/**
+ * Obtiene los frames de un payload (error.frames, error.stack o source/lineno/colno)
+ * @param {Object} error - Error del payload
+ * @returns {Array<Object>} Frames
+ */
+function getFrames(error) {
+    if (Array.isArray(error.frames) && error.frames.length) return error.frames;
+    const frames = parseStack(error.stack);
+    return frames.length ? frames : framesFromLocation(error.source, error.lineno, error.colno);
+}
+
+/**
+ * Extrae las líneas alrededor de una línea del original
+ * @param {string} content - Código original
+ * @param {number} line - Línea (1-based)
+ * @param {number} count - Líneas antes y después
+ * @returns {Object|null} { pre, line, post }
+ */
+function getContext(content, line, count) {
+    if (typeof content !== 'string') return null;
+    const lines = content.split(/\r?\n/);
+    if (line < 1 || line > lines.length) return null;
+    return {
+        pre: lines.slice(Math.max(0, line - 1 - count), line - 1),
+        line: lines[line - 1],
+        post: lines.slice(line, line + count)
+    };
+}
+
+/**
+ * Crea un symbolicator
+ * @param {Object} options - Opciones
+ * @param {Function} options.loadSourceMap - (file) => source map (objeto, JSON o null), puede ser async
+ * @param {Function} [options.loadSource] - (source) => código original si el mapa no trae sourcesContent
+ * @param {number} [options.contextLines] - Líneas de contexto antes y después (0 desactiva)
+ * @returns {Object} { symbolicate(payload), symbolicateFrames(frames), clearCache() }
+ */
+export function createSymbolicator(options = {}) {
+    if (typeof options.loadSourceMap !== 'function') {
+        throw new Error('createSymbolicator: options.loadSourceMap is required');
+    }
+
+    const config = {
+        contextLines: 3,
+        ...options
+    };
+    // archivo generado -> Promise<lector | null>
+    const consumers = new Map();
+    // source original -> Promise<código | null>
+    const sources = new Map();
+
+    const getConsumer = (file) => {
+        if (!consumers.has(file)) {
+            consumers.set(file, Promise.resolve()
+                .then(() => config.loadSourceMap(file))
+                .then((map) => (map ? parseSourceMap(map) : null))
+                .catch(() => null));
+        }
+        return consumers.get(file);
+    };
+
+    const getSource = (consumer, source) => {
+        const embedded = consumer.sourceContentFor(source);
+        if (embedded !== null || !config.loadSource) return Promise.resolve(embedded);
+        if (!sources.has(source)) {
+            sources.set(source, Promise.resolve()
+                .then(() => config.loadSource(source))
+                .catch(() => null));
+        }
+        return sources.get(source);
+    };
+
+    /**
+     * Resuelve la posición original de un frame
+     */
+    const resolve = async (frame) => {
+        if (!frame || !frame.file || !frame.line) return null;
+        const consumer = await getConsumer(frame.file);
+        if (!consumer) return null;
+        // Las columnas del stack son 1-based; las del source map, 0-based
+        const column = frame.column ? frame.column - 1 : 0;
+        const position = consumer.originalPositionFor(frame.line, column);
+        return position && position.source ? { consumer, position } : null;
+    };
+
+    /**
+     * Traduce frames (la llamada más reciente primero)
+     * @param {Array<Object>} frames - Frames de parseStack
+     * @returns {Promise<Array<Object>>} Frames originales
+     */
+    const symbolicateFrames = async (frames) => {
+        const resolved = await Promise.all(frames.map(resolve));
+
+        return Promise.all(frames.map(async (frame, index) => {
+            const match = resolved[index];
+            if (!match) return { ...frame, symbolicated: false };
+
+            const { consumer, position } = match;
+            // El nombre original de una función está en la llamada que hace su caller (frame siguiente)
+            const caller = resolved[index + 1];
+            const name = (caller && caller.position.name) || frame.function;
+            const symbolicated = {
+                ...frame,
+                function: name,
+                file: position.source,
+                line: position.line,
+                column: position.column + 1,
+                inApp: frame.inApp && !/node_modules/.test(position.source),
+                minified: {
+                    function: frame.function,
+                    file: frame.file,
+                    line: frame.line,
+                    column: frame.column
+                },
+                symbolicated: true
+            };
+
+            if (config.contextLines > 0) {
+                const context = getContext(await getSource(consumer, position.source), position.line, config.contextLines);
+                if (context) symbolicated.context = context;
+            }
+            return symbolicated;
+        }));
+    };
+
+    return {
+        symbolicateFrames,
+
+        /**
+         * Traduce un payload enviado por los interceptores
+         * Reescribe error.frames y, si existen, error.source / lineno / colno
+         * @param {Object} errorPayload - Payload con `error: { stack | frames | source, lineno, colno }`
+         * @returns {Promise<Object>} Copia del payload con frames originales
+         */
+        async symbolicate(errorPayload) {
+            const error = errorPayload && errorPayload.error;
+            if (!error) return errorPayload;
+
+            const frames = await symbolicateFrames(getFrames(error));
+            const result = { ...errorPayload, error: { ...error, frames } };
+
+            const top = frames.find((frame) => frame.symbolicated);
+            if (top && error.source !== undefined) {
+                result.error.minified = { source: error.source, lineno: error.lineno, colno: error.colno };
+                result.error.source = top.file;
+                result.error.lineno = top.line;
+                result.error.colno = top.column;
+            }
+            return result;
+        },
+
+        /**
+         * Olvida los source maps y originales cargados
+         */
+        clearCache() {
+            consumers.clear();
+            sources.clear();
+        }
+    };
+}
+
+/**
+ * Loader de source maps para el navegador (o cualquier entorno con fetch)
+ * Busca el comentario `sourceMappingURL` del archivo generado y, si no existe, prueba `<file>.map`
+ * @param {Object} options - Opciones
+ * @param {Function} [options.fetch] - Implementación de fetch
+ * @param {Function} [options.resolveMapUrl] - (file) => URL del mapa, evita descargar el archivo generado
+ * @returns {Function} (file) => Promise<source map | null>
+ */
+export function createFetchSourceMapLoader(options = {}) {
+    const fetchImpl = options.fetch || globalThis.fetch;
+
+    const fetchText = async (url) => {
+        const response = await fetchImpl(url, { credentials: 'same-origin' });
+        return response.ok ? response.text() : null;
+    };
+
+    return async (file) => {
+        if (typeof fetchImpl !== 'function') return null;
+
+        if (options.resolveMapUrl) {
+            const url = options.resolveMapUrl(file);
+            return url ? fetchText(url) : null;
+        }
+
+        const code = await fetchText(file);
+        const mapUrl = findSourceMappingURL(code);
+        if (mapUrl && mapUrl.indexOf('data:') === 0) return decodeDataUrl(mapUrl);
+        return fetchText(mapUrl ? new URL(mapUrl, file).href : `${file}.map`);
+    };
+}
@@ -0,0 +1,124 @@
+/**
+ * Symbolication en Node a partir de los artefactos del build (archivos .js y .map locales)
+ *
+ * Usage:
+ * import { createNodeSymbolicator } from '@syntropyfront/interceptors/symbolicate/node';
+ *
+ * const symbolicator = createNodeSymbolicator({ directory: './dist', publicPath: '/assets/' });
+ * const readable = await symbolicator.symbolicate(errorPayload);
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { createSymbolicator, findSourceMappingURL, decodeDataUrl } from './symbolicate.js';
+
+export * from './symbolicate.js';
+
+/**
+ * Lee un archivo o devuelve null si no existe
+ * @param {string} filePath - Ruta
+ * @returns {Promise<string|null>} Contenido
+ */
+async function readOptional(filePath) {
+    try {
+        return await readFile(filePath, 'utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Resuelve una ruta relativa sin permitir salir del directorio base
+ * @param {string} base - Directorio base
+ * @param {string} relative - Ruta relativa
+ * @returns {string|null} Ruta absoluta o null si escapa de base
+ */
+function resolveInside(base, relative) {
+    const root = path.resolve(base);
+    const resolved = path.resolve(root, relative);
+    return resolved === root || resolved.startsWith(root + path.sep) ? resolved : null;
+}
+
+/**
+ * Convierte la URL de un frame en una ruta relativa al directorio del build
+ * @param {string} file - URL o ruta del frame ('https://app.com/assets/main.js?v=2')
+ * @param {string} publicPath - Prefijo público de los assets ('/assets/')
+ * @returns {string} Ruta relativa ('main.js')
+ */
+function toRelativePath(file, publicPath) {
+    let pathname = String(file).split(/[?#]/)[0];
+    try {
+        pathname = decodeURIComponent(new URL(pathname).pathname);
+    } catch (error) {
+        // Ya es una ruta
+    }
+    if (publicPath && pathname.startsWith(publicPath)) {
+        pathname = pathname.slice(publicPath.length);
+    }
+    return pathname.replace(/^\/+/, '');
+}
+
+/**
+ * Loader de source maps desde disco
+ * Orden: `sourceMappingURL` del .js local, `<archivo>.map`, y por último `<nombre>.map` en la raíz
+ * @param {Object} options - Opciones
+ * @param {string} options.directory - Directorio con los artefactos del build
+ * @param {string} [options.publicPath] - Prefijo de las URLs de los assets a quitar
+ * @returns {Function} (file) => Promise<source map JSON | null>
+ */
+export function createFileSourceMapLoader(options = {}) {
+    if (!options.directory) {
+        throw new Error('createFileSourceMapLoader: options.directory is required');
+    }
+    const { directory, publicPath = '' } = options;
+
+    return async (file) => {
+        const relative = toRelativePath(file, publicPath);
+        const generatedPath = resolveInside(directory, relative);
+        if (!generatedPath) return null;
+
+        const mapUrl = findSourceMappingURL(await readOptional(generatedPath));
+        if (mapUrl && mapUrl.indexOf('data:') === 0) return decodeDataUrl(mapUrl);
+        if (mapUrl && !/^[a-z][a-z0-9+.-]*:/i.test(mapUrl)) {
+            const mapPath = resolveInside(directory, path.join(path.dirname(relative), mapUrl));
+            const map = mapPath && await readOptional(mapPath);
+            if (map) return map;
+        }
+
+        return (await readOptional(`${generatedPath}.map`))
+            || readOptional(path.join(path.resolve(directory), `${path.basename(relative)}.map`));
+    };
+}
+
+/**
+ * Loader de originales desde disco, para mapas sin sourcesContent
+ * @param {string} sourceRoot - Directorio raíz del código original
+ * @returns {Function} (source) => Promise<string | null>
+ */
+export function createFileSourceLoader(sourceRoot) {
+    return (source) => {
+        // 'webpack://my-app/./src/App.jsx' -> 'src/App.jsx'
+        const relative = String(source)
+            .replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*\//i, '')
+            .replace(/^(\.\/)+/, '');
+        const sourcePath = resolveInside(sourceRoot, relative);
+        return sourcePath ? readOptional(sourcePath) : null;
+    };
+}
+
+/**
+ * Crea un symbolicator que lee source maps (y originales) del disco
+ * @param {Object} options - Opciones
+ * @param {string} options.directory - Directorio con los artefactos del build
+ * @param {string} [options.publicPath] - Prefijo de las URLs de los assets
+ * @param {string} [options.sourceRoot] - Directorio del código original (si los mapas no traen sourcesContent)
+ * @param {number} [options.contextLines] - Líneas de contexto
+ * @returns {Object} Symbolicator (ver createSymbolicator)
+ */
+export function createNodeSymbolicator(options = {}) {
+    return createSymbolicator({
+        ...options,
+        loadSourceMap: createFileSourceMapLoader(options),
+        loadSource: options.sourceRoot ? createFileSourceLoader(options.sourceRoot) : undefined
+    });
+}
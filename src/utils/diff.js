@@ -0,0 +1,105 @@
+/**
+ * diff - Parches estructurales entre estados (formato JSON-Patch, RFC 6902)
+ * Trabaja sobre valores ya sanitizados (JSON plano)
+ */
+
+/**
+ * Escapa un segmento para JSON Pointer (RFC 6901)
+ * @param {string|number} segment - Segmento de ruta
+ * @returns {string} Segmento escapado
+ */
+function escapePointer(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Convierte un JSON Pointer en segmentos
+ * @param {string} pointer - JSON Pointer (`/a/b/0`)
+ * @returns {Array<string>} Segmentos
+ */
+function parsePointer(pointer) {
+    if (pointer === '') return [];
+    return pointer.slice(1).split('/').map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+const isObject = (value) => value !== null && typeof value === 'object';
+
+/**
+ * Genera el parche que transforma `prev` en `next`
+ * @param {*} prev - Estado anterior (sanitizado)
+ * @param {*} next - Estado posterior (sanitizado)
+ * @param {string} [path] - Ruta base (uso interno)
+ * @param {Array} [ops] - Operaciones acumuladas (uso interno)
+ * @returns {Array<Object>} Operaciones JSON-Patch (add/remove/replace)
+ */
+export function createPatch(prev, next, path = '', ops = []) {
+    if (prev === next) return ops;
+
+    if (!isObject(prev) || !isObject(next) || Array.isArray(prev) !== Array.isArray(next)) {
+        ops.push({ op: 'replace', path, value: next });
+        return ops;
+    }
+
+    if (Array.isArray(prev)) {
+        const shared = Math.min(prev.length, next.length);
+        for (let i = 0; i < shared; i++) {
+            createPatch(prev[i], next[i], `${path}/${i}`, ops);
+        }
+        // Eliminar desde el final para que los índices sigan siendo válidos
+        for (let i = prev.length - 1; i >= shared; i--) {
+            ops.push({ op: 'remove', path: `${path}/${i}` });
+        }
+        for (let i = shared; i < next.length; i++) {
+            ops.push({ op: 'add', path: `${path}/${i}`, value: next[i] });
+        }
+        return ops;
+    }
+
+    Object.keys(prev).forEach((key) => {
+        const childPath = `${path}/${escapePointer(key)}`;
+        if (!Object.prototype.hasOwnProperty.call(next, key)) {
+            ops.push({ op: 'remove', path: childPath });
+        } else {
+            createPatch(prev[key], next[key], childPath, ops);
+        }
+    });
+    Object.keys(next).forEach((key) => {
+        if (!Object.prototype.hasOwnProperty.call(prev, key)) {
+            ops.push({ op: 'add', path: `${path}/${escapePointer(key)}`, value: next[key] });
+        }
+    });
+    return ops;
+}
+
+/**
+ * Aplica un parche sobre una copia del documento
+ * Permite reconstruir el estado a partir del snapshot inicial y los parches de los breadcrumbs
+ * @param {*} document - Documento base (no se modifica)
+ * @param {Array<Object>} patch - Operaciones generadas por createPatch()
+ * @returns {*} Nuevo documento
+ */
+export function applyPatch(document, patch) {
+    let result = document === undefined ? undefined : JSON.parse(JSON.stringify(document));
+
+    patch.forEach(({ op, path, value }) => {
+        const segments = parsePointer(path);
+        if (segments.length === 0) {
+            result = op === 'remove' ? undefined : value;
+            return;
+        }
+
+        const key = segments.pop();
+        const parent = segments.reduce((node, segment) => node[segment], result);
+
+        if (op === 'remove') {
+            if (Array.isArray(parent)) parent.splice(Number(key), 1);
+            else delete parent[key];
+        } else if (op === 'add' && Array.isArray(parent)) {
+            parent.splice(key === '-' ? parent.length : Number(key), 0, value);
+        } else {
+            parent[key] = value;
+        }
+    });
+
+    return result;
+}
@@ -0,0 +1,265 @@
+/**
+ * errorGate - Fingerprinting, deduplicación, rate limiting y muestreo de errores
+ * Se coloca delante de sendError para que un error en bucle no inunde el backend
+ *
+ * Flujo por error:
+ * 1. Muestreo por `type` (sampleRates)
+ * 2. Fingerprint: type + mensaje normalizado + primeros frames del stack
+ * 3. Deduplicación: la primera ocurrencia se envía; las repetidas dentro de la ventana
+ *    se agrupan en un único payload con `occurrences` al cerrarse la ventana
+ * 4. Token bucket por fingerprint y global
+ */
+
+import { parseStack } from './stackParser.js';
+
+const MAX_TRACKED_FINGERPRINTS = 500;
+
+const DEFAULTS = {
+    dedupeWindow: 5000,
+    fingerprintFrames: 3,
+    sampleRates: {},
+    rateLimit: {
+        fingerprintBurst: 5,
+        fingerprintPerMinute: 10,
+        globalBurst: 30,
+        globalPerMinute: 60
+    }
+};
+
+/**
+ * Normaliza un mensaje quitando partes variables (ids, números, URLs, strings)
+ * @param {string} message - Mensaje original
+ * @returns {string} Mensaje normalizado
+ */
+export function normalizeMessage(message) {
+    return String(message ?? '')
+        .replace(/https?:\/\/[^\s'"]+/g, '<url>')
+        .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<uuid>')
+        .replace(/0x[0-9a-f]+/gi, '<hex>')
+        .replace(/(["'`]).*?\1/g, '<str>')
+        .replace(/\d+/g, '<n>')
+        .trim();
+}
+
+/**
+ * Obtiene los primeros frames de un error, sin columnas, query strings ni frames internos
+ * Usa `error.frames` si el payload ya los trae parseados
+ * @param {Object} error - Error del payload
+ * @param {number} count - Cantidad de frames
+ * @returns {Array<string>} Frames normalizados
+ */
+function topFrames(error, count) {
+    const frames = Array.isArray(error.frames) ? error.frames : parseStack(error.stack);
+    return frames
+        .filter((frame) => !frame.internal)
+        .slice(0, count)
+        .map((frame) => `${frame.function}@${String(frame.file || '').split('?')[0]}:${frame.line ?? ''}`);
+}
+
+/**
+ * Hash djb2 en hexadecimal
+ * @param {string} text - Texto
+ * @returns {string} Hash
+ */
+function hash(text) {
+    let value = 5381;
+    for (let i = 0; i < text.length; i++) {
+        value = ((value << 5) + value + text.charCodeAt(i)) | 0;
+    }
+    return (value >>> 0).toString(16);
+}
+
+/**
+ * Calcula el fingerprint de un payload de error
+ * @param {Object} errorPayload - Payload con `type` y `error: { message, stack }`
+ * @param {number} [frames] - Frames del stack a considerar
+ * @returns {string} Fingerprint
+ */
+export function fingerprintError(errorPayload, frames = DEFAULTS.fingerprintFrames) {
+    const error = errorPayload.error || {};
+    const parts = [
+        errorPayload.type || 'error',
+        normalizeMessage(error.message),
+        ...topFrames(error, frames)
+    ];
+    // Sin stack, el origen (source) distingue errores con el mismo mensaje
+    if (parts.length === 2 && error.source) parts.push(String(error.source).split('?')[0]);
+    return hash(parts.join('|'));
+}
+
+/**
+ * Token bucket simple
+ * @param {number} capacity - Ráfaga máxima
+ * @param {number} perMinute - Tokens repuestos por minuto
+ * @returns {Object} { canTake(), take() }
+ */
+function createBucket(capacity, perMinute) {
+    let tokens = capacity;
+    let updatedAt = Date.now();
+
+    const refill = () => {
+        const current = Date.now();
+        tokens = Math.min(capacity, tokens + ((current - updatedAt) / 60000) * perMinute);
+        updatedAt = current;
+    };
+
+    return {
+        /**
+         * Indica si hay un token disponible sin consumirlo
+         * @returns {boolean}
+         */
+        canTake() {
+            refill();
+            return tokens >= 1;
+        },
+
+        take() {
+            refill();
+            if (tokens < 1) return false;
+            tokens -= 1;
+            return true;
+        }
+    };
+}
+
+/**
+ * Crea la compuerta de errores
+ * @param {Function} send - Función que envía el payload final
+ * @param {Object} options - Opciones
+ * @param {number} [options.dedupeWindow] - Ventana de deduplicación en ms (0 desactiva)
+ * @param {number} [options.fingerprintFrames] - Frames del stack usados en el fingerprint
+ * @param {Object} [options.sampleRates] - Tasa de muestreo (0..1) por `type`
+ * @param {Object|false} [options.rateLimit] - Buckets por fingerprint y global (false desactiva)
+ * @param {Function} [options.fingerprint] - (payload) => string, clave del fingerprint en lugar de type + mensaje + frames
+ * @returns {Object} { process(payload), flush(), getStats() }
+ */
+export function createErrorGate(send, options = {}) {
+    const config = {
+        ...DEFAULTS,
+        ...options,
+        rateLimit: options.rateLimit === false ? false : { ...DEFAULTS.rateLimit, ...options.rateLimit }
+    };
+    const globalBucket = config.rateLimit
+        ? createBucket(config.rateLimit.globalBurst, config.rateLimit.globalPerMinute)
+        : null;
+    // fingerprint -> { bucket, window }
+    const tracked = new Map();
+    const stats = { sent: 0, sampledOut: 0, deduplicated: 0, rateLimited: 0 };
+
+    const getTracked = (fingerprint) => {
+        if (!tracked.has(fingerprint)) {
+            if (tracked.size >= MAX_TRACKED_FINGERPRINTS) {
+                const oldest = tracked.keys().next().value;
+                closeWindow(oldest);
+                tracked.delete(oldest);
+            }
+            tracked.set(fingerprint, {
+                bucket: config.rateLimit
+                    ? createBucket(config.rateLimit.fingerprintBurst, config.rateLimit.fingerprintPerMinute)
+                    : null,
+                window: null
+            });
+        }
+        return tracked.get(fingerprint);
+    };
+
+    const allowedByRateLimit = (entry) => {
+        if (!config.rateLimit) return true;
+        // Comprobar los dos buckets antes de consumir: un error rechazado por uno no gasta el otro
+        if (!entry.bucket.canTake() || !globalBucket.canTake()) return false;
+        entry.bucket.take();
+        globalBucket.take();
+        return true;
+    };
+
+    /**
+     * Cierra la ventana de un fingerprint y envía el resumen si hubo repeticiones
+     */
+    function closeWindow(fingerprint) {
+        const entry = tracked.get(fingerprint);
+        if (!entry || !entry.window) return;
+
+        const { timer, duplicates, lastPayload, firstSeen, lastSeen } = entry.window;
+        clearTimeout(timer);
+        entry.window = null;
+
+        if (duplicates === 0) return;
+        // El resumen solo consume el bucket global
+        if (globalBucket && !globalBucket.take()) {
+            stats.rateLimited++;
+            return;
+        }
+        stats.sent++;
+        send({
+            ...lastPayload,
+            fingerprint,
+            occurrences: duplicates,
+            aggregated: true,
+            firstSeen,
+            lastSeen
+        });
+    }
+
+    return {
+        /**
+         * Procesa un payload de error: lo envía, lo agrupa o lo descarta
+         * @param {Object} errorPayload - Payload de error
+         * @returns {boolean} True si se envió en este momento
+         */
+        process(errorPayload) {
+            const rate = config.sampleRates[errorPayload.type];
+            if (typeof rate === 'number' && Math.random() >= rate) {
+                stats.sampledOut++;
+                return false;
+            }
+
+            const fingerprint = config.fingerprint
+                ? hash(String(config.fingerprint(errorPayload)))
+                : fingerprintError(errorPayload, config.fingerprintFrames);
+            const entry = getTracked(fingerprint);
+            const timestamp = errorPayload.timestamp || new Date().toISOString();
+
+            if (entry.window) {
+                entry.window.duplicates++;
+                entry.window.lastPayload = errorPayload;
+                entry.window.lastSeen = timestamp;
+                stats.deduplicated++;
+                return false;
+            }
+
+            if (!allowedByRateLimit(entry)) {
+                stats.rateLimited++;
+                return false;
+            }
+
+            if (config.dedupeWindow > 0) {
+                entry.window = {
+                    duplicates: 0,
+                    lastPayload: errorPayload,
+                    firstSeen: timestamp,
+                    lastSeen: timestamp,
+                    timer: setTimeout(() => closeWindow(fingerprint), config.dedupeWindow)
+                };
+            }
+
+            stats.sent++;
+            send({ ...errorPayload, fingerprint, occurrences: 1 });
+            return true;
+        },
+
+        /**
+         * Cierra todas las ventanas abiertas enviando los resúmenes pendientes
+         */
+        flush() {
+            Array.from(tracked.keys()).forEach(closeWindow);
+        },
+
+        /**
+         * Contadores de la compuerta
+         * @returns {Object} { sent, sampledOut, deduplicated, rateLimited, trackedFingerprints }
+         */
+        getStats() {
+            return { ...stats, trackedFingerprints: tracked.size };
+        }
+    };
+}
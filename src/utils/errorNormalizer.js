@@ -0,0 +1,157 @@
+/**
+ * errorNormalizer - Convierte cualquier valor lanzado o rechazado en un error serializable
+ * Soporta Error y subclases propias, DOMException, AggregateError, cadenas `cause`,
+ * strings, objetos planos y primitivos
+ *
+ * Las excepciones relacionadas (cause, AggregateError.errors) se aplanan en `linked`:
+ * { id, parentId, relation: 'cause' | 'errors[i]', name, message, stack, frames, data }
+ */
+
+import { createSanitizer, safeStringify } from './sanitizer.js';
+import { parseStack } from './stackParser.js';
+
+const MAX_LINKED = 10;
+const MAX_MESSAGE_LENGTH = 1000;
+
+// Propiedades que ya se serializan por separado
+const RESERVED_KEYS = ['name', 'message', 'stack', 'cause', 'errors'];
+
+// Propiedades enumerables: poco profundas y acotadas
+const dataSanitizer = createSanitizer({ maxDepth: 3, maxSize: 4096 });
+
+/**
+ * Indica si un valor se comporta como un Error (incluye DOMException y errores de otros realms)
+ * @param {*} value - Valor
+ * @returns {boolean} True si parece un Error
+ */
+function isErrorLike(value) {
+    if (value instanceof Error) return true;
+    if (typeof DOMException !== 'undefined' && value instanceof DOMException) return true;
+    const tag = Object.prototype.toString.call(value);
+    return tag === '[object Error]' || tag === '[object DOMException]';
+}
+
+/**
+ * Nombre de la clase del error (`class PaymentError extends Error` sin `this.name`)
+ * @param {Error} error - Error
+ * @returns {string} Nombre
+ */
+function getErrorName(error) {
+    const name = typeof error.name === 'string' ? error.name : '';
+    const constructorName = error.constructor && error.constructor.name;
+    if ((!name || name === 'Error') && constructorName && constructorName !== 'Error' && constructorName !== 'Object') {
+        return constructorName;
+    }
+    return name || 'Error';
+}
+
+/**
+ * Propiedades propias enumerables sanitizadas (code, status, response, ...)
+ * @param {Object} value - Error u objeto
+ * @returns {Object|undefined} Datos o undefined si no hay
+ */
+function getData(value) {
+    const keys = Object.keys(value).filter((key) => !RESERVED_KEYS.includes(key));
+    if (keys.length === 0) return undefined;
+    const data = {};
+    keys.forEach((key) => {
+        data[key] = value[key];
+    });
+    return dataSanitizer.sanitizeAction(data);
+}
+
+const truncate = (text) => (text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH)}…` : text);
+
+/**
+ * Serializa un único valor (sin seguir cause ni errors)
+ * @param {*} value - Valor lanzado o rechazado
+ * @returns {Object} { name, message, stack, frames, code?, data?, reasonType }
+ */
+function describe(value) {
+    if (isErrorLike(value)) {
+        const described = {
+            name: getErrorName(value),
+            message: truncate(String(value.message ?? '')),
+            stack: typeof value.stack === 'string' ? value.stack : undefined,
+            frames: parseStack(value.stack),
+            reasonType: 'error'
+        };
+        // DOMException.code es un getter del prototipo, no una propiedad propia
+        if (typeof DOMException !== 'undefined' && value instanceof DOMException) {
+            described.reasonType = 'DOMException';
+            described.code = value.code;
+        }
+        const data = getData(value);
+        if (data !== undefined) described.data = data;
+        return described;
+    }
+
+    if (value !== null && typeof value === 'object') {
+        const message = typeof value.message === 'string'
+            ? value.message
+            : safeStringify(dataSanitizer.sanitizeAction(value)) || Object.prototype.toString.call(value);
+        return {
+            name: typeof value.name === 'string' ? value.name : null,
+            message: truncate(message),
+            stack: typeof value.stack === 'string' ? value.stack : undefined,
+            frames: parseStack(value.stack),
+            data: dataSanitizer.sanitizeAction(value),
+            reasonType: 'object'
+        };
+    }
+
+    return {
+        name: null,
+        message: truncate(typeof value === 'string' ? value : String(value)),
+        frames: [],
+        reasonType: value === null ? 'null' : typeof value
+    };
+}
+
+/**
+ * Normaliza un valor lanzado o rechazado, con sus excepciones relacionadas
+ * @param {*} reason - Error, DOMException, AggregateError, string, objeto...
+ * @param {Object} options - Opciones
+ * @param {number} [options.maxLinked] - Máximo de excepciones relacionadas
+ * @returns {Object} Error serializable; `linked` solo aparece si hay cause o errors
+ */
+export function normalizeError(reason, options = {}) {
+    const maxLinked = options.maxLinked ?? MAX_LINKED;
+    const root = describe(reason);
+    const linked = [];
+    // Evita ciclos (a.cause = b, b.cause = a)
+    const seen = new WeakSet();
+    const queue = [];
+
+    const enqueue = (value, parentId) => {
+        if (value === null || typeof value !== 'object') return;
+        if (Array.isArray(value.errors)) {
+            value.errors.forEach((child, index) => queue.push({ value: child, parentId, relation: `errors[${index}]` }));
+        }
+        if (value.cause !== undefined) {
+            queue.push({ value: value.cause, parentId, relation: 'cause' });
+        }
+    };
+
+    if (reason !== null && typeof reason === 'object') {
+        seen.add(reason);
+        enqueue(reason, 0);
+    }
+
+    while (queue.length && linked.length < maxLinked) {
+        const { value, parentId, relation } = queue.shift();
+        if (value !== null && typeof value === 'object') {
+            if (seen.has(value)) continue;
+            seen.add(value);
+        }
+        const id = linked.length + 1;
+        linked.push({ id, parentId, relation, ...describe(value) });
+        enqueue(value, id);
+    }
+
+    if (linked.length) {
+        root.linked = linked;
+        if (queue.length) root.linkedTruncated = true;
+    }
+    return root;
+}
@@ -0,0 +1,31 @@
+/**
+ * preReport - Hooks que se ejecutan justo antes de armar el payload de un error
+ * Los interceptores que reciben datos en batch (PerformanceInterceptor) registran aquí su flush;
+ * ErrorInterceptor los ejecuta antes de leer los breadcrumbs, así el resultado no depende del
+ * orden en que se registraron los listeners de window
+ */
+
+const hooks = new Set();
+
+/**
+ * Registra un hook
+ * @param {Function} hook - () => void, síncrono
+ * @returns {Function} Función para quitar el hook
+ */
+export function addPreReportHook(hook) {
+    hooks.add(hook);
+    return () => hooks.delete(hook);
+}
+
+/**
+ * Ejecuta todos los hooks; uno que lanza no impide reportar el error
+ */
+export function runPreReportHooks() {
+    hooks.forEach((hook) => {
+        try {
+            hook();
+        } catch (error) {
+            // El error original es más importante que el hook que falló
+        }
+    });
+}
@@ -0,0 +1,316 @@
+/**
+ * sanitizer - Pipeline de sanitización de estado y acciones
+ * Compartido por ReduxInterceptor y VuexInterceptor
+ *
+ * Orden del pipeline:
+ * 1. Callback del usuario (stateSanitizer / actionSanitizer)
+ * 2. Normalización: listas allow/deny por ruta, enmascarado por patrón de clave,
+ *    límite de profundidad, referencias circulares y valores no serializables
+ * 3. Límite de tamaño en bytes del resultado
+ */
+
+/**
+ * Patrones de clave enmascarados por defecto
+ */
+export const DEFAULT_MASK_KEYS = ['*password*', '*token*', '*secret*', '*authorization*'];
+
+const DEFAULTS = {
+    allowPaths: null,
+    denyPaths: [],
+    maskKeys: DEFAULT_MASK_KEYS,
+    maskValue: '[Redacted]',
+    maxDepth: 8,
+    maxSize: 50 * 1024,
+    actionSanitizer: null,
+    stateSanitizer: null
+};
+
+/**
+ * Convierte un patrón tipo glob (`*token*`) en RegExp sin distinguir mayúsculas
+ * @param {string|RegExp} pattern - Patrón de clave
+ * @returns {RegExp} Expresión regular equivalente
+ */
+function toKeyRegExp(pattern) {
+    if (pattern instanceof RegExp) return pattern;
+    const escaped = String(pattern)
+        .split('*')
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Crea un comprobador de claves a partir de patrones tipo glob o RegExp
+ * @param {Array<string|RegExp>} patterns - Patrones de clave
+ * @returns {Function} (key) => boolean
+ */
+export function createKeyMatcher(patterns = []) {
+    const regexps = patterns.map(toKeyRegExp);
+    return (key) => regexps.some((regexp) => regexp.test(key));
+}
+
+/**
+ * Convierte una ruta (`user.profile.*`) en lista de segmentos
+ * @param {string|Array} path - Ruta con puntos o array de segmentos
+ * @returns {Array<string>} Segmentos
+ */
+function toSegments(path) {
+    return Array.isArray(path) ? path.map(String) : String(path).split('.');
+}
+
+/**
+ * Indica si los primeros segmentos de `path` coinciden con `pattern`
+ * @param {Array<string>} pattern - Segmentos del patrón (`*` = cualquier segmento)
+ * @param {Array<string>} path - Segmentos de la ruta
+ * @param {number} length - Cantidad de segmentos a comparar
+ * @returns {boolean} True si coinciden
+ */
+function segmentsMatch(pattern, path, length) {
+    for (let i = 0; i < length; i++) {
+        if (pattern[i] !== '*' && pattern[i] !== path[i]) return false;
+    }
+    return true;
+}
+
+/**
+ * Describe brevemente un objeto que no se va a recorrer
+ * @param {*} value - Valor
+ * @returns {string} Descripción
+ */
+function describe(value) {
+    if (Array.isArray(value)) return `Array(${value.length})`;
+    const name = value && value.constructor && value.constructor.name;
+    return name || 'Object';
+}
+
+/**
+ * Calcula el tamaño en bytes de un string
+ * @param {string} text - Texto
+ * @returns {number} Tamaño en bytes (UTF-8 si hay TextEncoder)
+ */
+function byteLength(text) {
+    if (typeof TextEncoder !== 'undefined') {
+        return new TextEncoder().encode(text).length;
+    }
+    return text.length;
+}
+
+/**
+ * Serializa un valor ya normalizado sin lanzar excepciones
+ * @param {*} value - Valor normalizado
+ * @returns {string} JSON
+ */
+export function safeStringify(value) {
+    try {
+        return JSON.stringify(value) ?? '';
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Crea un pipeline de sanitización
+ * @param {Object} options - Opciones
+ * @param {Array<string>} [options.allowPaths] - Solo se incluyen estas rutas del estado
+ * @param {Array<string>} [options.denyPaths] - Rutas del estado que se eliminan
+ * @param {Array<string|RegExp>} [options.maskKeys] - Patrones de clave cuyo valor se enmascara
+ * @param {string} [options.maskValue] - Valor de reemplazo para claves enmascaradas
+ * @param {number} [options.maxDepth] - Profundidad máxima recorrida
+ * @param {number} [options.maxSize] - Tamaño máximo en bytes del resultado serializado
+ * @param {Function} [options.actionSanitizer] - (action) => action, se ejecuta primero
+ * @param {Function} [options.stateSanitizer] - (state, action) => state, se ejecuta primero
+ * @returns {Object} Sanitizer con sanitizeState() y sanitizeAction()
+ */
+export function createSanitizer(options = {}) {
+    const config = { ...DEFAULTS };
+    Object.keys(DEFAULTS).forEach((key) => {
+        if (options[key] !== undefined) config[key] = options[key];
+    });
+
+    const allowPaths = config.allowPaths ? config.allowPaths.map(toSegments) : null;
+    const denyPaths = (config.denyPaths || []).map(toSegments);
+
+    const isDenied = (path) => denyPaths.some((pattern) =>
+        pattern.length === path.length && segmentsMatch(pattern, path, path.length)
+    );
+
+    // 'covered': la ruta está dentro de un patrón permitido
+    // 'partial': la ruta es ancestro de un patrón permitido (hay que descender)
+    const allowStatus = (path) => {
+        let partial = false;
+        for (const pattern of allowPaths) {
+            if (pattern.length <= path.length && segmentsMatch(pattern, path, pattern.length)) {
+                return 'covered';
+            }
+            if (pattern.length > path.length && segmentsMatch(pattern, path, path.length)) {
+                partial = true;
+            }
+        }
+        return partial ? 'partial' : null;
+    };
+
+    const isMasked = createKeyMatcher(config.maskKeys || []);
+
+    const isTraversable = (value) => value !== null && typeof value === 'object';
+
+    // Marcador para entradas descartadas por las reglas de ruta
+    const SKIP = {};
+
+    /**
+     * Normaliza un valor a una forma serializable
+     */
+    const normalize = (value, path, depth, seen, usePaths, covered) => {
+        if (value === null || value === undefined) return value;
+
+        switch (typeof value) {
+            case 'string':
+            case 'number':
+            case 'boolean':
+                return value;
+            case 'bigint':
+                return `${value}n`;
+            case 'symbol':
+                return value.toString();
+            case 'function':
+                return `[Function ${value.name || 'anonymous'}]`;
+            default:
+                break;
+        }
+
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+        }
+        if (value instanceof RegExp) return value.toString();
+        if (value instanceof Error) {
+            return { name: value.name, message: value.message, stack: value.stack };
+        }
+        if (typeof Promise !== 'undefined' && value instanceof Promise) return '[Promise]';
+        if (typeof WeakMap !== 'undefined' && value instanceof WeakMap) return '[WeakMap]';
+        if (typeof WeakSet !== 'undefined' && value instanceof WeakSet) return '[WeakSet]';
+        if (typeof ArrayBuffer !== 'undefined' && ArrayBuffer.isView(value)) {
+            return `[${describe(value)}(${value.length ?? value.byteLength})]`;
+        }
+        if (typeof ArrayBuffer !== 'undefined' && value instanceof ArrayBuffer) {
+            return `[ArrayBuffer(${value.byteLength})]`;
+        }
+        if (typeof value.nodeType === 'number' && typeof value.nodeName === 'string') {
+            return `[${value.nodeName}]`;
+        }
+
+        if (seen.has(value)) return '[Circular]';
+        if (depth >= config.maxDepth) return `[${describe(value)}]`;
+
+        seen.add(value);
+        let result;
+
+        if (Array.isArray(value) || value instanceof Set) {
+            result = [];
+            Array.from(value).forEach((item, index) => {
+                const entry = normalizeEntry(String(index), item, path, depth, seen, usePaths, covered);
+                if (entry !== SKIP) result.push(entry);
+            });
+        } else if (value instanceof Map) {
+            result = { __type: 'Map' };
+            value.forEach((item, key) => {
+                const entry = normalizeEntry(String(key), item, path, depth, seen, usePaths, covered);
+                if (entry !== SKIP) result[String(key)] = entry;
+            });
+        } else {
+            result = {};
+            const proto = Object.getPrototypeOf(value);
+            if (proto && proto !== Object.prototype && proto.constructor && proto.constructor.name) {
+                result.__type = proto.constructor.name;
+            }
+            Object.keys(value).forEach((key) => {
+                let item;
+                try {
+                    item = value[key];
+                } catch (error) {
+                    item = '[Unreadable]';
+                }
+                const entry = normalizeEntry(key, item, path, depth, seen, usePaths, covered);
+                if (entry !== SKIP) result[key] = entry;
+            });
+        }
+
+        seen.delete(value);
+        return result;
+    };
+
+    /**
+     * Aplica reglas de ruta y de clave a una entrada antes de normalizarla
+     */
+    const normalizeEntry = (key, item, path, depth, seen, usePaths, covered) => {
+        const childPath = path.concat(key);
+        let childCovered = covered;
+
+        if (usePaths) {
+            if (isDenied(childPath)) return SKIP;
+            if (!covered) {
+                const status = allowStatus(childPath);
+                if (!status) return SKIP;
+                if (status === 'partial' && !isTraversable(item)) return SKIP;
+                childCovered = status === 'covered';
+            }
+        }
+
+        if (isMasked(key)) return config.maskValue;
+        return normalize(item, childPath, depth + 1, seen, usePaths, childCovered);
+    };
+
+    /**
+     * Aplica el límite de tamaño sobre un valor normalizado
+     */
+    const capSize = (value) => {
+        if (!config.maxSize) return value;
+        const size = byteLength(safeStringify(value));
+        if (size <= config.maxSize) return value;
+        return {
+            __truncated: true,
+            size,
+            maxSize: config.maxSize,
+            keys: isTraversable(value) ? Object.keys(value).slice(0, 50) : []
+        };
+    };
+
+    /**
+     * Ejecuta un callback del usuario sin dejar pasar el valor original si falla
+     */
+    const runCallback = (callback, label, ...args) => {
+        try {
+            return callback(...args);
+        } catch (error) {
+            console.warn(`SyntropyFront: Error en ${label}:`, error);
+            return '[Sanitizer error]';
+        }
+    };
+
+    return {
+        config,
+
+        /**
+         * Sanitiza un estado (aplica rutas, claves, profundidad y tamaño)
+         * @param {*} state - Estado del store
+         * @param {*} action - Acción o mutación que lo acompaña
+         * @returns {*} Estado sanitizado y serializable
+         */
+        sanitizeState(state, action) {
+            const value = config.stateSanitizer
+                ? runCallback(config.stateSanitizer, 'stateSanitizer', state, action)
+                : state;
+            return capSize(normalize(value, [], 0, new WeakSet(), !!allowPaths || denyPaths.length > 0, !allowPaths));
+        },
+
+        /**
+         * Sanitiza una acción o mutación (aplica claves, profundidad y tamaño)
+         * @param {*} action - Acción o mutación
+         * @returns {*} Acción sanitizada y serializable
+         */
+        sanitizeAction(action) {
+            const value = config.actionSanitizer
+                ? runCallback(config.actionSanitizer, 'actionSanitizer', action)
+                : action;
+            return capSize(normalize(value, [], 0, new WeakSet(), false, true));
+        }
+    };
+}
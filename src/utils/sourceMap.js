@@ -0,0 +1,223 @@
+/**
+ * sourceMap - Lector mínimo de source maps v3 (sin dependencias)
+ * Decodifica `mappings` (VLQ base64) y resuelve posiciones generadas a originales
+ * Soporta `sourceRoot`, `sourcesContent` y mapas indexados (`sections`)
+ */
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_VALUES = {};
+for (let i = 0; i < BASE64.length; i++) {
+    BASE64_VALUES[BASE64[i]] = i;
+}
+
+/**
+ * Decodifica un segmento VLQ en sus valores numéricos
+ * @param {string} segment - Segmento (p. ej. 'AAgBC')
+ * @returns {Array<number>} Valores relativos
+ */
+function decodeSegment(segment) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+
+    for (let i = 0; i < segment.length; i++) {
+        const digit = BASE64_VALUES[segment[i]];
+        if (digit === undefined) {
+            throw new Error(`Invalid VLQ character "${segment[i]}"`);
+        }
+        value += (digit & 31) << shift;
+        if (digit & 32) {
+            shift += 5;
+        } else {
+            const negative = value & 1;
+            value >>>= 1;
+            values.push(negative ? -value : value);
+            value = 0;
+            shift = 0;
+        }
+    }
+    return values;
+}
+
+/**
+ * Decodifica el campo `mappings`
+ * @param {string} mappings - Mappings del source map
+ * @returns {Array<Array<Array<number>>>} Por línea generada: [genColumn, source, line, column, name?]
+ */
+function decodeMappings(mappings) {
+    const lines = [];
+    let source = 0;
+    let originalLine = 0;
+    let originalColumn = 0;
+    let name = 0;
+
+    String(mappings || '').split(';').forEach((lineText) => {
+        const segments = [];
+        let generatedColumn = 0;
+
+        lineText.split(',').forEach((text) => {
+            if (!text) return;
+            const values = decodeSegment(text);
+            generatedColumn += values[0];
+            // Segmentos de 1 valor no apuntan a ningún original
+            if (values.length < 4) return;
+            source += values[1];
+            originalLine += values[2];
+            originalColumn += values[3];
+            const segment = [generatedColumn, source, originalLine, originalColumn];
+            if (values.length >= 5) {
+                name += values[4];
+                segment.push(name);
+            }
+            segments.push(segment);
+        });
+
+        segments.sort((a, b) => a[0] - b[0]);
+        lines.push(segments);
+    });
+
+    return lines;
+}
+
+/**
+ * Une sourceRoot y source
+ * @param {string} root - sourceRoot
+ * @param {string} source - Entrada de `sources`
+ * @returns {string} Ruta del original
+ */
+function joinSource(root, source) {
+    if (!root || /^[a-z][a-z0-9+.-]*:/i.test(source) || source.charAt(0) === '/') return source;
+    return `${root.replace(/\/+$/, '')}/${source}`;
+}
+
+/**
+ * Crea un lector para un source map v3 simple (sin `sections`)
+ * @param {Object} map - Source map
+ * @returns {Object} Lector
+ */
+function parseBasicMap(map) {
+    const lines = decodeMappings(map.mappings);
+    const sources = (map.sources || []).map((source) => joinSource(map.sourceRoot, source || ''));
+    const names = map.names || [];
+    const contents = map.sourcesContent || [];
+
+    return {
+        sources,
+
+        /**
+         * @param {number} line - Línea generada (1-based)
+         * @param {number} column - Columna generada (0-based)
+         * @returns {Object|null} { source, line (1-based), column (0-based), name }
+         */
+        originalPositionFor(line, column) {
+            const segments = lines[line - 1];
+            if (!segments || segments.length === 0) return null;
+
+            // Último segmento con columna <= column
+            let low = 0;
+            let high = segments.length - 1;
+            let found = -1;
+            while (low <= high) {
+                const middle = (low + high) >> 1;
+                if (segments[middle][0] <= column) {
+                    found = middle;
+                    low = middle + 1;
+                } else {
+                    high = middle - 1;
+                }
+            }
+            if (found === -1) return null;
+
+            const segment = segments[found];
+            return {
+                source: sources[segment[1]] ?? null,
+                line: segment[2] + 1,
+                column: segment[3],
+                name: segment.length > 4 ? names[segment[4]] ?? null : null
+            };
+        },
+
+        /**
+         * @param {string} source - Ruta devuelta por originalPositionFor
+         * @returns {string|null} Contenido embebido del original
+         */
+        sourceContentFor(source) {
+            const index = sources.indexOf(source);
+            return index === -1 ? null : contents[index] ?? null;
+        }
+    };
+}
+
+/**
+ * Crea un lector de source map
+ * @param {Object|string} map - Source map (objeto o JSON)
+ * @returns {Object} { sources, originalPositionFor(line, column), sourceContentFor(source) }
+ */
+export function parseSourceMap(map) {
+    const parsed = typeof map === 'string' ? JSON.parse(map.replace(/^\)\]\}'[^\n]*\n/, '')) : map;
+    if (!parsed || parsed.version !== 3) {
+        throw new Error('Unsupported source map (expected version 3)');
+    }
+
+    if (!Array.isArray(parsed.sections)) {
+        return parseBasicMap(parsed);
+    }
+
+    // Mapa indexado: cada sección empieza en un offset del archivo generado
+    const sections = parsed.sections.map((section) => ({
+        line: section.offset.line,
+        column: section.offset.column,
+        consumer: parseBasicMap(section.map)
+    }));
+
+    return {
+        sources: sections.flatMap((section) => section.consumer.sources),
+
+        originalPositionFor(line, column) {
+            const zeroLine = line - 1;
+            let match = null;
+            sections.forEach((section) => {
+                if (section.line < zeroLine || (section.line === zeroLine && section.column <= column)) {
+                    match = section;
+                }
+            });
+            if (!match) return null;
+            return match.consumer.originalPositionFor(
+                zeroLine - match.line + 1,
+                zeroLine === match.line ? column - match.column : column
+            );
+        },
+
+        sourceContentFor(source) {
+            for (const section of sections) {
+                const content = section.consumer.sourceContentFor(source);
+                if (content !== null) return content;
+            }
+            return null;
+        }
+    };
+}
+
+/**
+ * Obtiene la URL del último comentario `sourceMappingURL` de un archivo generado
+ * @param {string} code - Código generado
+ * @returns {string|null} URL (relativa, absoluta o data:)
+ */
+export function findSourceMappingURL(code) {
+    const matches = [...String(code || '').matchAll(/\/[/*][#@]\s*sourceMappingURL=([^\s*'"]+)/g)];
+    return matches.length ? matches[matches.length - 1][1] : null;
+}
+
+/**
+ * Decodifica un source map embebido como data URL
+ * @param {string} url - data:application/json[;charset=utf-8][;base64],...
+ * @returns {string|null} JSON del source map
+ */
+export function decodeDataUrl(url) {
+    const match = String(url || '').match(/^data:[^,]*?(;base64)?,(.*)$/);
+    if (!match) return null;
+    if (!match[1]) return decodeURIComponent(match[2]);
+    const binary = atob(match[2]);
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
@@ -0,0 +1,191 @@
+/**
+ * stackParser - Convierte `error.stack` en frames normalizados
+ * Soporta los formatos de V8 (Chrome, Edge, Node), SpiderMonkey (Firefox) y JavaScriptCore (Safari)
+ *
+ * Cada frame: { function, file, line, column, inApp, internal, async?, eval?, native? }
+ * Los frames se devuelven en el orden del stack (la llamada más reciente primero)
+ */
+
+/**
+ * Archivos que pertenecen a esta librería (frames internos)
+ */
+export const DEFAULT_INTERNAL_PATTERNS = [/syntropyfront-interceptors/i, /@syntropyfront\//i, /@syntropysoft\//i];
+
+// Archivos que nunca son código de la aplicación
+const NOT_IN_APP = /node_modules|^node:|^(chrome|moz|safari(-web)?)-extension:|^<anonymous>$|^native$|\[native code\]/;
+
+const MAX_FRAMES = 50;
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+/**
+ * Limpia el nombre de función (sufijos de Firefox como `foo/<`, nombres vacíos)
+ * @param {string} name - Nombre crudo
+ * @returns {string|null} Nombre limpio
+ */
+function cleanFunctionName(name) {
+    if (!name) return null;
+    const cleaned = name.replace(/(\/<)+$/, '').replace(/<\/?$/, '').trim();
+    return cleaned || null;
+}
+
+/**
+ * Parsea una línea de V8: `at fn (file:1:2)`, `at file:1:2`, `at async fn (...)`, `at eval (eval at ...)`
+ * @param {string} line - Línea del stack
+ * @returns {Object|null} Frame crudo
+ */
+function parseV8Line(line) {
+    const match = line.match(/^\s*at\s+(.*)$/);
+    if (!match) return null;
+
+    let rest = match[1].trim();
+    const frame = {};
+
+    if (rest.indexOf('async ') === 0) {
+        frame.async = true;
+        rest = rest.slice(6);
+    }
+
+    let location = rest;
+    const withName = rest.match(/^(.*?)\s+\((.*)\)$/);
+    if (withName) {
+        frame.function = withName[1];
+        location = withName[2];
+    }
+
+    if (/^eval at /.test(location)) {
+        // La posición útil es la del código que llamó a eval (la más interna)
+        frame.eval = true;
+        const positions = [...location.matchAll(/\(([^()]+?):(\d+):(\d+)\)/g)];
+        const last = positions[positions.length - 1];
+        if (last) {
+            frame.file = last[1];
+            frame.line = toNumber(last[2]);
+            frame.column = toNumber(last[3]);
+        } else {
+            frame.file = '<anonymous>';
+        }
+        return frame;
+    }
+
+    const position = location.match(/^(.*?):(\d+)(?::(\d+))?$/);
+    if (position) {
+        frame.file = position[1];
+        frame.line = toNumber(position[2]);
+        frame.column = toNumber(position[3]);
+    } else {
+        // `native`, `<anonymous>`, `index 0` (Promise.all): no es un archivo, el frame queda sin file (inApp: false)
+        frame.file = null;
+        if (location === 'native') frame.native = true;
+    }
+    return frame;
+}
+
+/**
+ * Parsea una línea de SpiderMonkey / JavaScriptCore: `fn@file:1:2`, `@file:1:2`, `async*fn@...`
+ * @param {string} line - Línea del stack
+ * @returns {Object|null} Frame crudo
+ */
+function parseGeckoLine(line) {
+    const match = line.match(/^\s*(.*?)@(.*?)(?::(\d+))?(?::(\d+))?\s*$/);
+    if (!match) return null;
+
+    const frame = {};
+    let name = match[1];
+    if (name.indexOf('async*') === 0) {
+        frame.async = true;
+        name = name.slice(6);
+    }
+    frame.function = name;
+
+    let file = match[2];
+    let lineNumber = toNumber(match[3]);
+    let column = toNumber(match[4]);
+
+    // Firefox: `file line 12 > eval` / `> Function`
+    const evalMatch = file.match(/^(.*?) line (\d+) > (eval|Function)/);
+    if (evalMatch) {
+        frame.eval = true;
+        file = evalMatch[1];
+        lineNumber = toNumber(evalMatch[2]);
+        column = null;
+    }
+
+    if (file === '[native code]') {
+        frame.native = true;
+        file = null;
+    }
+    // JavaScriptCore: `eval code@`
+    if (/^eval( code)?$/.test(name)) frame.eval = true;
+
+    frame.file = file || null;
+    frame.line = lineNumber;
+    frame.column = column;
+    return frame;
+}
+
+/**
+ * Completa un frame crudo con inApp / internal
+ * @param {Object} raw - Frame crudo
+ * @param {Object} options - Opciones de parseStack
+ * @returns {Object} Frame normalizado
+ */
+function normalizeFrame(raw, options) {
+    const internalPatterns = options.internalPatterns || DEFAULT_INTERNAL_PATTERNS;
+    const inAppExclude = options.inAppExclude || [];
+    const file = raw.file || null;
+    const internal = !!file && internalPatterns.some((pattern) => pattern.test(file));
+    const frame = {
+        function: cleanFunctionName(raw.function) || '<anonymous>',
+        file,
+        line: raw.line ?? null,
+        column: raw.column ?? null,
+        inApp: !!file && !internal && !NOT_IN_APP.test(file) && !inAppExclude.some((pattern) => pattern.test(file)),
+        internal
+    };
+    if (raw.async) frame.async = true;
+    if (raw.eval) frame.eval = true;
+    if (raw.native) frame.native = true;
+    return frame;
+}
+
+/**
+ * Parsea un stack en frames normalizados
+ * @param {string} stack - `error.stack`
+ * @param {Object} options - Opciones
+ * @param {Array<RegExp>} [options.internalPatterns] - Archivos de esta librería
+ * @param {Array<RegExp>} [options.inAppExclude] - Archivos adicionales que no son de la app
+ * @returns {Array<Object>} Frames
+ */
+export function parseStack(stack, options = {}) {
+    if (typeof stack !== 'string' || !stack) return [];
+
+    const frames = [];
+    // En V8 la primera línea es el mensaje (puede contener '@'); Firefox y Safari no la incluyen
+    const parseLine = /^\s*at\s/m.test(stack) ? parseV8Line : parseGeckoLine;
+
+    stack.split('\n').some((line) => {
+        if (!line.trim()) return false;
+        const raw = parseLine(line);
+        if (!raw) return false;
+
+        frames.push(normalizeFrame(raw, options));
+        return frames.length >= MAX_FRAMES;
+    });
+
+    return frames;
+}
+
+/**
+ * Crea un único frame a partir de una ubicación (p. ej. source/lineno/colno de window.onerror)
+ * Útil cuando el error no trae stack (errores de scripts cross-origin, `throw 'string'`)
+ * @param {string} file - Archivo
+ * @param {number} line - Línea
+ * @param {number} column - Columna
+ * @param {Object} options - Opciones de parseStack
+ * @returns {Array<Object>} Frames (vacío si no hay archivo)
+ */
+export function framesFromLocation(file, line, column, options = {}) {
+    if (!file) return [];
+    return [normalizeFrame({ file, line: toNumber(line), column: toNumber(column) }, options)];
+}
@@ -0,0 +1,80 @@
+/**
+ * stateRecorder - Decide qué estado acompaña a cada breadcrumb de store
+ * Compartido por ReduxInterceptor y VuexInterceptor
+ *
+ * Modos:
+ * - 'snapshot': estado completo antes y después de cada acción (comportamiento original)
+ * - 'diff': un breadcrumb por acción con el parche JSON-Patch entre estados;
+ *   el snapshot completo solo se incluye en la primera acción y en los errores
+ */
+import { createPatch } from './diff.js';
+
+export const STATE_MODES = ['snapshot', 'diff'];
+
+/**
+ * Crea un registrador de estado
+ * @param {Object} sanitizer - Sanitizer creado con createSanitizer()
+ * @param {Object} options - Opciones
+ * @param {string} [options.stateMode] - 'snapshot' (por defecto) o 'diff'
+ * @returns {Object} Registrador
+ */
+export function createStateRecorder(sanitizer, options = {}) {
+    const mode = STATE_MODES.includes(options.stateMode) ? options.stateMode : 'snapshot';
+    let lastState;
+    let hasBaseline = false;
+    let pendingBaseline = false;
+
+    return {
+        mode,
+
+        /**
+         * Se llama antes de la acción; captura el baseline si aún no existe
+         * (el estado de Vuex es mutable, por eso no puede leerse después)
+         * @param {*} state - Estado crudo antes de la acción
+         * @param {*} action - Acción o mutación
+         */
+        before(state, action) {
+            if (mode !== 'diff' || hasBaseline) return;
+            lastState = sanitizer.sanitizeState(state, action);
+            hasBaseline = true;
+            pendingBaseline = true;
+        },
+
+        /**
+         * Datos de estado para el breadcrumb posterior a la acción (modo diff)
+         * @param {*} state - Estado crudo después de la acción
+         * @param {*} action - Acción o mutación
+         * @returns {Object} { patch, state? } - `state` es el snapshot inicial en la primera acción
+         */
+        after(state, action) {
+            const data = {};
+            if (pendingBaseline) {
+                data.state = lastState;
+                pendingBaseline = false;
+            }
+            const next = sanitizer.sanitizeState(state, action);
+            data.patch = createPatch(lastState, next);
+            lastState = next;
+            return data;
+        },
+
+        /**
+         * Snapshot completo y sanitizado del estado actual
+         * @param {*} state - Estado crudo
+         * @param {*} action - Acción o mutación
+         * @returns {*} Estado sanitizado
+         */
+        snapshot(state, action) {
+            return sanitizer.sanitizeState(state, action);
+        },
+
+        /**
+         * Descarta el baseline; la próxima acción volverá a incluir el snapshot completo
+         */
+        reset() {
+            lastState = undefined;
+            hasBaseline = false;
+            pendingBaseline = false;
+        }
+    };
+}
@@ -0,0 +1,31 @@
+/**
+ * storeActivity - Registro compartido de las últimas acciones de store
+ * Redux, NgRx, Vuex, Pinia, Zustand y MobX anotan cada acción que registran como breadcrumb;
+ * otros interceptores (GraphQL) lo consultan para vincular sus errores con esas acciones
+ * Es un buffer circular en memoria: no guarda payloads ni estado, solo tipo y momento
+ */
+
+const MAX_ENTRIES = 50;
+const entries = [];
+
+/**
+ * Anota una acción de store
+ * @param {string} category - Categoría del breadcrumb ('redux', 'vuex', 'pinia'...)
+ * @param {string} type - Type de la acción o mutación
+ */
+export function recordStoreActivity(category, type) {
+    entries.push({ category, type: String(type), timestamp: Date.now() });
+    if (entries.length > MAX_ENTRIES) {
+        entries.shift();
+    }
+}
+
+/**
+ * Acciones de store anotadas desde un momento dado, en orden cronológico
+ * @param {number} since - Timestamp (ms) desde el que se incluyen acciones
+ * @param {number} [limit] - Máximo de acciones devueltas (las más recientes)
+ * @returns {Array<Object>} [{ category, type, timestamp }]
+ */
+export function getStoreActivitySince(since, limit = 10) {
+    return entries.filter((entry) => entry.timestamp >= since).slice(-limit);
+}
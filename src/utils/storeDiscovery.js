@@ -0,0 +1,296 @@
+/**
+ * Descubrimiento de stores (Redux, Vuex...) creados después de inicializar el interceptor
+ *
+ * Tres formas de entregar el store, de la más explícita a la más implícita:
+ * 1. register(store | promise): la app lo entrega cuando lo crea (también antes de init)
+ * 2. Evento en window: dispatchEvent(new CustomEvent('syntropyfront:store', { detail: { kind, store } }))
+ * 3. Locators: funciones () => store | undefined consultadas con backoff exponencial hasta `timeout`
+ *
+ * Estados: 'idle' (sin iniciar) -> 'searching' -> 'attached' | 'gave-up'
+ * Un store registrado (o anunciado con el evento) después de 'gave-up' se conecta igual
+ */
+
+export const STORE_EVENT = 'syntropyfront:store';
+
+/**
+ * Locator que lee una variable global
+ * @param {string} name - Nombre de la propiedad de window / globalThis
+ * @returns {Function} () => valor del global
+ */
+export function globalLocator(name) {
+    const locator = () => (typeof globalThis !== 'undefined' ? globalThis[name] : undefined);
+    locator.displayName = `window.${name}`;
+    return locator;
+}
+
+/**
+ * Nombre legible de un locator para getInfo()
+ */
+function locatorName(locator, index) {
+    return locator.displayName || locator.name || `locator[${index}]`;
+}
+
+/**
+ * Crea el descubrimiento de un store
+ * @param {Function} attach - (store) => boolean, conecta el store; false si no se pudo
+ * @param {Object} options - Opciones
+ * @param {string} options.kind - Tipo de store ('redux', 'vuex'...), filtra los eventos
+ * @param {Function} [options.isStore] - (candidato) => boolean, descarta en silencio lo que no es un store
+ * @param {Array<Function>} [options.locators] - Locators en orden de prioridad
+ * @param {boolean} [options.autoDiscover] - Consultar los locators (false: solo register / evento)
+ * @param {number} [options.retryDelay] - Primer intervalo entre consultas en ms
+ * @param {number} [options.maxRetryDelay] - Intervalo máximo en ms
+ * @param {number} [options.backoffFactor] - Multiplicador del intervalo tras cada intento
+ * @param {number} [options.timeout] - ms hasta pasar a 'gave-up' (Infinity: nunca)
+ * @param {boolean} [options.listenForEvents] - Escuchar STORE_EVENT en window
+ * @returns {Object} { start, stop, register, locate, whenAttached, getStatus }
+ */
+export function createStoreDiscovery(attach, options = {}) {
+    const config = {
+        kind: 'store',
+        isStore: () => true,
+        locators: [],
+        autoDiscover: true,
+        retryDelay: 250,
+        maxRetryDelay: 4000,
+        backoffFactor: 2,
+        timeout: 10000,
+        listenForEvents: true,
+        ...options
+    };
+    let status = 'idle';
+    let store = null;
+    let source = null;
+    let attempts = 0;
+    let startedAt = null;
+    let finishedAt = null;
+    let delay = config.retryDelay;
+    let timer = null;
+    let pending = null;
+    let eventHandler = null;
+    let waiters = [];
+    // true tras stop(): 'idle' ya no significa "todavía no empezó"
+    let stopped = false;
+
+    const settle = (value) => {
+        const resolvers = waiters;
+        waiters = [];
+        resolvers.forEach((resolve) => resolve(value));
+    };
+
+    const stopWaiting = () => {
+        finishedAt = Date.now();
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+        if (eventHandler) {
+            window.removeEventListener(STORE_EVENT, eventHandler);
+            eventHandler = null;
+        }
+    };
+
+    /**
+     * Conecta un candidato; no hace nada si ya hay un store conectado
+     * Los candidatos de locators se validan en silencio; los registrados los valida attach()
+     */
+    const tryAttach = (candidate, from, validate = true) => {
+        if (status === 'attached') return true;
+        if (!candidate || (validate && !config.isStore(candidate))) return false;
+        if (!attach(candidate)) return false;
+
+        stopWaiting();
+        status = 'attached';
+        store = candidate;
+        source = from;
+        settle(candidate);
+        return true;
+    };
+
+    /**
+     * Una pasada por todos los locators
+     * @returns {boolean} True si conectó un store
+     */
+    const locate = () => config.locators.some((locator, index) => {
+        let candidate;
+        try {
+            candidate = locator();
+        } catch (error) {
+            // Un locator que lanza se trata como "todavía no"
+            return false;
+        }
+        return tryAttach(candidate, locatorName(locator, index));
+    });
+
+    const giveUp = () => {
+        // El listener del evento sigue activo: un store que llega tarde se conecta igual
+        finishedAt = Date.now();
+        status = 'gave-up';
+        console.warn(`SyntropyFront: No se encontró store de ${config.kind} en ${Math.round(config.timeout)}ms (${attempts} intentos). Usa registerStore() o setStore() para configurarlo.`);
+        settle(null);
+    };
+
+    const poll = () => {
+        timer = null;
+        if (status !== 'searching') return;
+        const polling = config.autoDiscover && config.locators.length > 0;
+        if (polling) {
+            attempts++;
+            if (locate()) return;
+        }
+
+        const remaining = config.timeout - (Date.now() - startedAt);
+        if (remaining <= 0) {
+            giveUp();
+            return;
+        }
+        // Sin locators solo queda esperar el timeout (o nada, si es Infinity)
+        if (!polling && !Number.isFinite(remaining)) return;
+
+        timer = setTimeout(poll, polling ? Math.min(delay, remaining) : remaining);
+        delay = Math.min(delay * config.backoffFactor, config.maxRetryDelay);
+    };
+
+    /**
+     * Entrega un store o una promesa de store
+     * @param {Object|Promise} storeOrPromise - Store o promesa que resuelve al store
+     * @param {string} [from] - Origen para getStatus()
+     * @returns {boolean} True si el store quedó conectado (false para promesas o antes de start)
+     */
+    const register = (storeOrPromise, from = 'registerStore') => {
+        if (storeOrPromise && typeof storeOrPromise.then === 'function') {
+            storeOrPromise.then(
+                (resolved) => register(resolved, from),
+                (error) => console.warn(`SyntropyFront: La promesa del store de ${config.kind} fue rechazada:`, error)
+            );
+            return false;
+        }
+        if (status === 'idle') {
+            // Todavía no hay API: se conecta en start()
+            pending = { store: storeOrPromise, from };
+            return false;
+        }
+        if (status === 'attached') {
+            console.warn(`SyntropyFront: Ya hay un store de ${config.kind} conectado, se ignora el registrado`);
+            return false;
+        }
+        return tryAttach(storeOrPromise, from, false);
+    };
+
+    return {
+        /**
+         * Empieza a buscar (lo llama init() del interceptor)
+         */
+        start() {
+            if (status === 'searching' || status === 'attached') return;
+            status = 'searching';
+            stopped = false;
+            store = null;
+            source = null;
+            attempts = 0;
+            startedAt = Date.now();
+            finishedAt = null;
+            delay = config.retryDelay;
+
+            if (pending) {
+                const { store: registered, from } = pending;
+                pending = null;
+                if (register(registered, from)) return;
+            }
+
+            if (config.listenForEvents && typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+                eventHandler = (event) => {
+                    const detail = event.detail || {};
+                    if (detail.kind && detail.kind !== config.kind) return;
+                    register(detail.store, 'event');
+                };
+                window.addEventListener(STORE_EVENT, eventHandler);
+            }
+
+            poll();
+        },
+
+        /**
+         * Deja de buscar y vuelve a 'idle' (lo llama destroy() del interceptor)
+         */
+        stop() {
+            stopWaiting();
+            status = 'idle';
+            stopped = true;
+            store = null;
+            source = null;
+            pending = null;
+            settle(null);
+        },
+
+        register,
+
+        /**
+         * Consulta los locators una vez, sin esperar
+         * @returns {boolean} True si conectó un store
+         */
+        locate() {
+            if (status === 'idle') return false;
+            return locate();
+        },
+
+        /**
+         * Promesa que resuelve al store conectado, o a null si se agota el timeout o se detiene
+         * Antes del primer start() espera; después de stop() resuelve null enseguida
+         * @returns {Promise<Object|null>}
+         */
+        whenAttached() {
+            return new Promise((resolve) => {
+                if (status === 'attached') {
+                    resolve(store);
+                    return;
+                }
+                if (status === 'gave-up' || (status === 'idle' && stopped)) {
+                    resolve(null);
+                    return;
+                }
+                waiters.push(resolve);
+            });
+        },
+
+        /**
+         * Estado del descubrimiento para getInfo()
+         * @returns {Object} { status, source, attempts, elapsed }
+         */
+        getStatus() {
+            return {
+                status,
+                source,
+                attempts,
+                elapsed: startedAt === null || status === 'idle' ? null : (finishedAt || Date.now()) - startedAt
+            };
+        }
+    };
+}
+
+/**
+ * Opciones de createStoreDiscovery() a partir de las opciones de un interceptor
+ * Los `locators` del usuario se consultan antes que los globales por defecto
+ * @param {Object} options - Opciones del interceptor
+ * @param {Array<Function>} [options.locators] - Locators propios
+ * @param {Array<string>} [options.globalNames] - Globales a consultar (reemplaza defaultGlobalNames)
+ * @param {number} [options.discoveryTimeout] - ms hasta 'gave-up'
+ * @param {Array<string>} defaultGlobalNames - Globales por defecto del interceptor
+ * @returns {Object} Opciones de descubrimiento (sin claves undefined)
+ */
+export function getDiscoveryOptions(options, defaultGlobalNames = []) {
+    const globalNames = options.globalNames || defaultGlobalNames;
+    const discovery = {
+        locators: [...(options.locators || []), ...globalNames.map(globalLocator)],
+        autoDiscover: options.autoDiscover,
+        retryDelay: options.retryDelay,
+        maxRetryDelay: options.maxRetryDelay,
+        backoffFactor: options.backoffFactor,
+        timeout: options.discoveryTimeout,
+        listenForEvents: options.listenForEvents
+    };
+    Object.keys(discovery).forEach((key) => {
+        if (discovery[key] === undefined) delete discovery[key];
+    });
+    return discovery;
+}
@@ -0,0 +1,6 @@
+/**
+ * time - Reloj monotónico para medir duraciones
+ * Usa performance.now() cuando existe y Date.now() como respaldo
+ * @returns {number} Milisegundos
+ */
+export const now = () => (typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now());
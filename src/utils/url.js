@@ -0,0 +1,61 @@
+/**
+ * Redacción de URLs compartida por NetworkInterceptor y RealtimeInterceptor
+ */
+import { DEFAULT_MASK_KEYS } from './sanitizer.js';
+
+/**
+ * Parámetros de query enmascarados por defecto
+ */
+export const DEFAULT_QUERY_MASKS = [...DEFAULT_MASK_KEYS, '*key*', '*session*', 'code', 'sig', 'signature'];
+
+/**
+ * URL base para resolver URLs relativas y protocol-relative (`//host/path`)
+ * @returns {string|undefined} location.href en el navegador
+ */
+function getBaseUrl() {
+    return typeof location !== 'undefined' ? location.href : undefined;
+}
+
+/**
+ * Indica si una URL apunta a un endpoint (mismo origen y ruta bajo la del endpoint)
+ * Ambas se resuelven contra location.href: '/errors', '//host/errors' y
+ * 'https://host/errors' se consideran la misma URL
+ * @param {string} url - URL del request
+ * @param {string} endpoint - URL del endpoint
+ * @returns {boolean} True si la URL es el endpoint o una ruta debajo de él
+ */
+export function matchesEndpoint(url, endpoint) {
+    try {
+        const base = getBaseUrl();
+        const target = new URL(String(url), base);
+        const reference = new URL(String(endpoint), base);
+        if (target.origin !== reference.origin) return false;
+        const path = reference.pathname.replace(/\/+$/, '');
+        return target.pathname === path || target.pathname.startsWith(`${path}/`) || path === '';
+    } catch (error) {
+        // Sin base (URL relativa fuera del navegador): comparación literal
+        return String(url).split(/[?#]/)[0] === String(endpoint).split(/[?#]/)[0];
+    }
+}
+
+/**
+ * Redacta una URL: enmascara parámetros sensibles, quita credenciales y fragmento
+ * @param {string} url - URL original
+ * @param {Function} isMasked - (param) => boolean
+ * @returns {string} URL redactada
+ */
+export function redactUrl(url, isMasked) {
+    try {
+        const parsed = new URL(url, getBaseUrl());
+        parsed.username = '';
+        parsed.password = '';
+        parsed.hash = '';
+        new Set(parsed.searchParams.keys()).forEach((key) => {
+            if (isMasked(key)) parsed.searchParams.set(key, 'REDACTED');
+        });
+        return parsed.href;
+    } catch (error) {
+        // URL no parseable: descartar la query completa
+        return String(url).split(/[?#]/)[0];
+    }
+}
@@ -0,0 +1,33 @@
+/**
+ * workerMessage - Protocolo entre WorkerInterceptor (dentro del worker) y WorkerBridgeInterceptor (hilo principal)
+ *
+ * Mensaje: { source: WORKER_MESSAGE_SOURCE, version, kind: 'error' | 'breadcrumb', worker, payload }
+ */
+
+export const WORKER_MESSAGE_SOURCE = 'syntropyfront-worker';
+
+export const WORKER_MESSAGE_VERSION = 1;
+
+/**
+ * Crea un mensaje del protocolo
+ * @param {string} kind - 'error' o 'breadcrumb'
+ * @param {Object} worker - Identidad del worker { name, type, url }
+ * @param {Object} payload - Payload del error o breadcrumb
+ * @returns {Object} Mensaje
+ */
+export function createWorkerMessage(kind, worker, payload) {
+    return { source: WORKER_MESSAGE_SOURCE, version: WORKER_MESSAGE_VERSION, kind, worker, payload };
+}
+
+/**
+ * Indica si un `event.data` es un mensaje de SyntropyFront
+ * @param {*} data - Datos recibidos por postMessage
+ * @returns {boolean} True si es un mensaje del protocolo
+ */
+export function isWorkerMessage(data) {
+    return !!data
+        && typeof data === 'object'
+        && data.source === WORKER_MESSAGE_SOURCE
+        && (data.kind === 'error' || data.kind === 'breadcrumb')
+        && !!data.payload;
+}
@@ -3,7 +3,24 @@
  * 
  * Usage:
  * import { VuexInterceptor } from '@syntropyfront/interceptors/vue';
- * syntropyFront.injectCustomInterceptor('vuex', VuexInterceptor);
+ * syntropyFront.injectCustomInterceptor('vuex', VuexInterceptor());
+ *
+ * Or as a Vuex plugin:
+ * import { syntropyVuexPlugin } from '@syntropyfront/interceptors/vue';
+ * new Vuex.Store({ plugins: [syntropyVuexPlugin(api)] });
+ *
+ * Vue app and router:
+ * import { VueInterceptor } from '@syntropyfront/interceptors/vue';
+ * syntropyFront.injectCustomInterceptor('vue', VueInterceptor());
+ * SyntropyFront.getInterceptorInfo('vue')?.setApp(app);
+ * SyntropyFront.getInterceptorInfo('vue')?.setRouter(router);
+ *
+ * Pinia:
+ * import { PiniaInterceptor } from '@syntropyfront/interceptors/vue';
+ * syntropyFront.injectCustomInterceptor('pinia', PiniaInterceptor());
+ * SyntropyFront.getInterceptorInfo('pinia')?.setPinia(pinia);
  */
 
-export { default as VuexInterceptor } from './VuexInterceptor.js'; 
\ No newline at end of file
+export { default as VuexInterceptor, syntropyVuexPlugin } from './VuexInterceptor.js';
+export { default as PiniaInterceptor } from './PiniaInterceptor.js';
+export { default as VueInterceptor } from './VueInterceptor.js';
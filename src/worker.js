@@ -0,0 +1,15 @@
+/**
+ * Worker Interceptor Export
+ * Safe to import inside Web Workers and Service Workers (no window/DOM dependencies)
+ *
+ * Usage (inside the worker):
+ * import { WorkerInterceptor } from '@syntropyfront/interceptors/worker';
+ * const workerInterceptor = WorkerInterceptor({ name: 'image-processor' });
+ * workerInterceptor.init();
+ *
+ * Main thread:
+ * import { WorkerBridgeInterceptor } from '@syntropyfront/interceptors';
+ * SyntropyFront.inject('workerBridge', WorkerBridgeInterceptor());
+ */
+
+export { default as WorkerInterceptor } from './WorkerInterceptor.js';
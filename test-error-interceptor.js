@@ -48,14 +48,14 @@ const mockSyntropyFront = {
 function testErrorInterceptor() {
     console.log('🧪 Testing ErrorInterceptor...\n');
     
-    // Create error interceptor instance
-    const errorInterceptor = new ErrorInterceptor();
-    
-    // Initialize with mock SyntropyFront
-    errorInterceptor.init(mockSyntropyFront, {
+    // Create error interceptor instance (factory: options go here)
+    const errorInterceptor = ErrorInterceptor({
         logToConsole: true
     });
     
+    // Initialize with mock SyntropyFront
+    errorInterceptor.init(mockSyntropyFront);
+    
     console.log('✅ ErrorInterceptor initialized\n');
     
     // Add some breadcrumbs
@@ -80,7 +80,7 @@ function testErrorInterceptor() {
     
     // Test 3: Check status
     setTimeout(() => {
-        console.log('\n📊 ErrorInterceptor Status:', errorInterceptor.getStatus());
+        console.log('\n📊 ErrorInterceptor Status:', errorInterceptor.getInfo());
         console.log('📊 Errors captured:', mockSyntropyFront.errors.length);
         console.log('📊 Breadcrumbs:', mockSyntropyFront.breadcrumbs.length);
         
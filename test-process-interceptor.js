@@ -0,0 +1,53 @@
+/**
+ * Test ProcessInterceptor
+ *
+ * Checks that an unhandled rejection behaves as it does in Node without the
+ * interceptor: the process exits with code 1 when nobody handles it, and keeps
+ * running when the app has its own uncaughtException listener.
+ *
+ * Run with: node test-process-interceptor.js (after npm run build)
+ */
+
+import { spawnSync } from 'node:child_process';
+
+// Child script: installs the interceptor and rejects a promise without a catch
+const childScript = (withAppHandler) => `
+    import { ProcessInterceptor } from './dist/node.js';
+
+    const api = {
+        addBreadcrumb() {},
+        sendError(payload) { console.log('sent:' + payload.type); }
+    };
+    ProcessInterceptor({ shutdownTimeout: 100 }).init(api);
+
+    ${withAppHandler ? `process.on('uncaughtException', (error, origin) => {
+        console.log('app handler:' + origin + ':' + error.message);
+    });` : ''}
+
+    Promise.reject(new Error('Test promise rejection'));
+    setTimeout(() => console.log('still running'), 300);
+`;
+
+function runCase(name, withAppHandler, expectedCode, expectedOutput) {
+    const result = spawnSync(process.execPath, ['--input-type=module', '-e', childScript(withAppHandler)], {
+        cwd: new URL('.', import.meta.url),
+        encoding: 'utf8',
+        timeout: 10000
+    });
+    const passed = result.status === expectedCode
+        && expectedOutput.every((line) => result.stdout.includes(line));
+
+    console.log(`${passed ? '✅' : '❌'} ${name} (exit code ${result.status})`);
+    if (!passed) {
+        console.log(result.stdout, result.stderr);
+        process.exitCode = 1;
+    }
+}
+
+console.log('🧪 Testing ProcessInterceptor...\n');
+
+runCase('Without an app handler the process exits with code 1', false, 1,
+    ['sent:node_unhandled_rejection']);
+
+runCase('With an app uncaughtException handler the process keeps running', true, 0,
+    ['sent:node_unhandled_rejection', 'app handler:unhandledRejection:Test promise rejection', 'still running']);